@@ -1,4 +1,5 @@
 import { inflate, deflate } from "pako";
+import { getKeywordLanguages } from "../common/pseudocode-parser.js";
 
 export function loadFromHash(editor) {
   const hash = window.location.hash;
@@ -18,7 +19,8 @@ export function loadFromHash(editor) {
     if (state.model) {
       editor.loadJSON(state.model);
       if (state.settings && state.settings.lang) {
-        editor.setAttribute("lang", state.settings.lang === "en" ? "en" : "de");
+        const known = getKeywordLanguages().some(({ lang }) => lang === state.settings.lang);
+        editor.setAttribute("lang", known ? state.settings.lang : "de");
       }
       if (state.settings && state.settings.fontSize) {
         editor.setAttribute("font-size", state.settings.fontSize);
@@ -4,16 +4,59 @@ import { loadFromHash, saveToHash } from "./hash.js";
 const editor = document.getElementById("editor");
 const codeOutput = document.getElementById("code-output");
 const tabBtns = document.querySelectorAll(".code-tabs button");
+const runnableToggle = document.getElementById("runnable-toggle");
 let currentLang = "python";
 
 function updateCode() {
+  codeOutput.textContent = "";
+  let result;
   try {
-    codeOutput.textContent = editor.toCode(currentLang);
+    result = editor.toCode(currentLang, { sourceMap: true, runnable: runnableToggle.checked });
   } catch (e) {
-    codeOutput.textContent = "";
+    return;
   }
+  // One span per line, linked to the block it was generated from
+  const nodeIds = new Map(result.map.map(({ line, nodeId }) => [line, nodeId]));
+  result.code.split("\n").forEach((text, i) => {
+    const span = document.createElement("span");
+    span.className = "code-line";
+    span.textContent = text + "\n";
+    const nodeId = nodeIds.get(i + 1);
+    if (nodeId) span.dataset.nodeId = nodeId;
+    codeOutput.appendChild(span);
+  });
+}
+
+/** Mark the code lines of a block; returns the first of them. */
+function highlightLines(nodeId) {
+  let first = null;
+  for (const span of codeOutput.querySelectorAll(".code-line")) {
+    const match = nodeId != null && span.dataset.nodeId === nodeId;
+    span.classList.toggle("highlight", match);
+    if (match && !first) first = span;
+  }
+  return first;
 }
 
+// Hovering a line outlines its block in the editor
+codeOutput.addEventListener("mouseover", (e) => {
+  const line = e.target.closest(".code-line[data-node-id]");
+  const nodeId = line ? line.dataset.nodeId : null;
+  highlightLines(nodeId);
+  editor.selectNode(nodeId);
+});
+
+codeOutput.addEventListener("mouseleave", () => {
+  highlightLines(null);
+  editor.selectNode(null);
+});
+
+// Clicking a block scrolls to its code
+editor.addEventListener("select", (e) => {
+  const line = highlightLines(e.detail.nodeId);
+  if (line) line.scrollIntoView({ block: "nearest", behavior: "smooth" });
+});
+
 // Wait for custom element to be ready, then load hash
 customElements.whenDefined("struktolab-editor").then(() => {
   loadFromHash(editor);
@@ -35,6 +78,8 @@ tabBtns.forEach((btn) => {
   });
 });
 
+runnableToggle.addEventListener("change", updateCode);
+
 document.getElementById("share-btn").addEventListener("click", () => {
   const hash = saveToHash(editor);
   if (!hash) return;
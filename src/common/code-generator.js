@@ -2,22 +2,49 @@
  * Standalone code generator for struktog trees.
  * Converts a structogram tree to plain-text source code.
  *
- * Supported languages: "python", "java", "javascript"
+ * Supported languages: "python", "java", "javascript", "typescript",
+ * "csharp", "c", "cpp", "pascal"
  */
 
+import { soleBranch } from "./tree-ops.js";
+import { countLoopFields, KEYWORDS_DE } from "./pseudocode-parser.js";
+import { parseExpression, formatExpression, negateExpression, inputTarget, caseLabels } from "./expression.js";
+import { inferTypes, expressionType, elementType } from "./type-inference.js";
+
+/** printf conversions of the C types. */
+const PRINTF_FORMATS = { int: "%d", double: "%g", String: "%s", boolean: "%d" };
+
 const TRANSLATIONS = {
   python: {
     InputNode: { pre: "", post: ' = input("Eingabe")\n' },
     OutputNode: { pre: "print(", post: ")\n" },
     TaskNode: { pre: "", post: "\n" },
-    BranchNode: { pre: "if ", post: ":\n", between: "else:\n" },
-    TryCatchNode: { pre: "try:\n", between: "except ", post: ":\n" },
-    CountLoopNode: { pre: "for ", post: ":\n" },
+    CallNode: { pre: "", post: "\n" },
+    ReturnNode: { pre: "return", post: "\n" },
+    BreakNode: { pre: "break", post: "\n" },
+    ContinueNode: { pre: "continue", post: "\n" },
+    BranchNode: { pre: "if ", post: ":\n", between: "else:\n", elseIf: "elif " },
+    TryCatchNode: { pre: "try:\n", between: "except ", post: ":\n", named: "{type} as {name}" },
+    CountLoopNode: {
+      pre: "for ",
+      post: ":\n",
+      counted: "for {var} in range({from}, {stop}{rangeStep}):\n",
+    },
     HeadLoopNode: { pre: "while ", post: ":\n" },
     FootLoopNode: {
       prepre: "while True:\n",
-      pre: "    if not ",
-      post: ":\n        break\n",
+      pre: "if ",
+      negate: true,
+      post: ":\n",
+      exit: "break\n",
+    },
+    ParallelNode: {
+      pre: "import threading\n",
+      branchPre: "def branch_{n}():\n",
+      branchPost: "",
+      empty: "pass\n",
+      start: "thread_{n} = threading.Thread(target=branch_{n})\nthread_{n}.start()\n",
+      join: "thread_{n}.join()\n",
     },
     FunctionNode: { pre: "def ", between: "(", post: "):\n" },
     CaseNode: { pre: "if ", post: ":\n" },
@@ -27,40 +54,114 @@ const TRANSLATIONS = {
       post: ":\n",
       postpost: "\n",
     },
+    expression: "python",
+    comment: "# ",
+    empty: "pass\n",
     leftBracket: "",
     rightBracket: "",
     pseudoSwitch: true,
+    runnable: {
+      mainPre: 'if __name__ == "__main__":\n',
+      empty: "pass\n",
+      input: {
+        int: '{var} = int(input("{prompt}"))\n',
+        double: '{var} = float(input("{prompt}"))\n',
+        String: '{var} = input("{prompt}")\n',
+        boolean: '{var} = input("{prompt}") == "True"\n',
+      },
+      // + only concatenates strings
+      convert: { int: "str({value})", double: "str({value})", boolean: "str({value})" },
+    },
   },
   java: {
     InputNode: { pre: "", post: " = System.console().readLine();\n" },
     OutputNode: { pre: "System.out.println(", post: ");\n" },
     TaskNode: { pre: "", post: ";\n" },
-    BranchNode: { pre: "if (", post: ")", between: "} else {\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
     TryCatchNode: { pre: "try", between: "catch (", post: ")" },
-    CountLoopNode: { pre: "for (", post: ")" },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for ({decl}{var} = {from}; {var} {cmp} {to}; {update})",
+    },
     HeadLoopNode: { pre: "while (", post: ")" },
     FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
-    FunctionNode: { pre: "public void ", between: "(", post: ")" },
+    ParallelNode: {
+      branchPre: "Thread thread{n} = new Thread(() -> {\n",
+      branchPost: "});\n",
+      start: "thread{n}.start();\n",
+      joinPre: "try {\n",
+      join: "thread{n}.join();\n",
+      joinPost: "} catch (InterruptedException e) {\n    Thread.currentThread().interrupt();\n}\n",
+    },
+    FunctionNode: { pre: "public void ", preValue: "public {type} ", between: "(", post: ")", param: "{type} " },
     CaseNode: { pre: "switch (", post: ")" },
     InsertCase: {
       preNormal: "case ",
       preDefault: "default",
       post: ":\n",
       postpost: "break;\n",
+      defaultBreak: true,
     },
+    types: { int: "int", double: "double", String: "String", boolean: "boolean", array: "{type}[]" },
+    variables: {
+      declare: "{type} {var} = {init};\n",
+      init: { int: "0", double: "0.0", String: '""', boolean: "false", array: "new {element}[100]" },
+    },
+    expression: "java",
+    // Two integers divide exactly, as in the diagram
+    divide: "(double) {value}",
+    comment: "// ",
     leftBracket: "{",
     rightBracket: "}",
     pseudoSwitch: false,
+    runnable: {
+      inputImports: "import java.util.Scanner;\n",
+      open: "public class Main {\n",
+      close: "}\n",
+      level: 1,
+      inputSetup: "static Scanner scanner = new Scanner(System.in);\n",
+      mainPre: "public static void main(String[] args) {\n",
+      mainPost: "}\n",
+      input: {
+        int: 'System.out.print("{prompt}");\n{var} = Integer.parseInt(scanner.nextLine().trim());\n',
+        double: 'System.out.print("{prompt}");\n{var} = Double.parseDouble(scanner.nextLine().trim());\n',
+        String: 'System.out.print("{prompt}");\n{var} = scanner.nextLine();\n',
+        boolean: 'System.out.print("{prompt}");\n{var} = Boolean.parseBoolean(scanner.nextLine().trim());\n',
+      },
+      templates: {
+        FunctionNode: { pre: "static void ", preValue: "static {type} " },
+      },
+    },
   },
   javascript: {
     InputNode: { pre: "", post: ' = prompt("Eingabe");\n' },
     OutputNode: { pre: "console.log(", post: ");\n" },
     TaskNode: { pre: "", post: ";\n" },
-    BranchNode: { pre: "if (", post: ")", between: "} else {\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
     TryCatchNode: { pre: "try", between: "catch (", post: ")" },
-    CountLoopNode: { pre: "for (", post: ")" },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for (let {var} = {from}; {var} {cmp} {to}; {update})",
+    },
     HeadLoopNode: { pre: "while (", post: ")" },
     FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
+    ParallelNode: {
+      pre: "await Promise.all([\n",
+      branchPre: "(async () => {\n",
+      branchPost: "})(),\n",
+      post: "]);\n",
+      nested: true,
+    },
     FunctionNode: { pre: "function ", between: "(", post: ")" },
     CaseNode: { pre: "switch (", post: ")" },
     InsertCase: {
@@ -69,9 +170,402 @@ const TRANSLATIONS = {
       post: ":\n",
       postpost: "break;\n",
     },
+    expression: "javascript",
+    comment: "// ",
     leftBracket: "{",
     rightBracket: "}",
     pseudoSwitch: false,
+    // Node.js: input comes from readline, so main() and every function
+    // that reads input are async
+    runnable: {
+      inputImports: 'const readline = require("node:readline");\n',
+      // Lines are buffered, so piped input works as well as typed input
+      inputSetup:
+        "const rl = readline.createInterface({ input: process.stdin });\n" +
+        "const lines = rl[Symbol.asyncIterator]();\n\n" +
+        "async function readInput(prompt) {\n" +
+        "    process.stdout.write(prompt);\n" +
+        '    return (await lines.next()).value ?? "";\n' +
+        "}\n",
+      inputClose: "rl.close();\n",
+      mainPre: "async function main() {\n",
+      mainPost: "}\n\nmain();\n",
+      async: true,
+      templates: { declare: "let " },
+      input: {
+        int: '{decl}{var} = Number(await readInput("{prompt}"));\n',
+        double: '{decl}{var} = Number(await readInput("{prompt}"));\n',
+        String: '{decl}{var} = await readInput("{prompt}");\n',
+        boolean: '{decl}{var} = (await readInput("{prompt}")) === "true";\n',
+      },
+    },
+  },
+  typescript: {
+    InputNode: { pre: "", post: ' = prompt("Eingabe");\n' },
+    OutputNode: { pre: "console.log(", post: ");\n" },
+    TaskNode: { pre: "", post: ";\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
+    // Catch clauses take no type, only the variable
+    TryCatchNode: { pre: "try", between: "catch (", post: ")", nameOnly: true },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for (let {var} = {from}; {var} {cmp} {to}; {update})",
+    },
+    HeadLoopNode: { pre: "while (", post: ")" },
+    FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
+    ParallelNode: {
+      pre: "await Promise.all([\n",
+      branchPre: "(async () => {\n",
+      branchPost: "})(),\n",
+      post: "]);\n",
+      nested: true,
+    },
+    FunctionNode: {
+      pre: "function ",
+      between: "(",
+      post: "): void",
+      postValue: "): {type}",
+      paramPost: ": {type}",
+      preValue: "function ",
+    },
+    CaseNode: { pre: "switch (", post: ")" },
+    InsertCase: {
+      preNormal: "case ",
+      preDefault: "default",
+      post: ":\n",
+      postpost: "break;\n",
+    },
+    declare: "let ",
+    types: { int: "number", double: "number", String: "string", boolean: "boolean", array: "{type}[]" },
+    expression: "typescript",
+    comment: "// ",
+    leftBracket: "{",
+    rightBracket: "}",
+    pseudoSwitch: false,
+    runnable: {
+      inputImports: 'import * as readline from "node:readline";\n',
+      inputSetup:
+        "const rl = readline.createInterface({ input: process.stdin });\n" +
+        "const lines = rl[Symbol.asyncIterator]();\n\n" +
+        "async function readInput(prompt: string): Promise<string> {\n" +
+        "    process.stdout.write(prompt);\n" +
+        '    return (await lines.next()).value ?? "";\n' +
+        "}\n",
+      inputClose: "rl.close();\n",
+      mainPre: "async function main() {\n",
+      mainPost: "}\n\nmain();\n",
+      async: true,
+      input: {
+        int: '{decl}{var} = Number(await readInput("{prompt}"));\n',
+        double: '{decl}{var} = Number(await readInput("{prompt}"));\n',
+        String: '{decl}{var} = await readInput("{prompt}");\n',
+        boolean: '{decl}{var} = (await readInput("{prompt}")) === "true";\n',
+      },
+    },
+  },
+  csharp: {
+    InputNode: { pre: "", post: " = Console.ReadLine();\n" },
+    OutputNode: { pre: "Console.WriteLine(", post: ");\n" },
+    TaskNode: { pre: "", post: ";\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
+    TryCatchNode: { pre: "try", between: "catch (", post: ")" },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for ({decl}{var} = {from}; {var} {cmp} {to}; {update})",
+    },
+    HeadLoopNode: { pre: "while (", post: ")" },
+    FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
+    ParallelNode: {
+      branchPre: "Thread thread{n} = new Thread(() => {\n",
+      branchPost: "});\n",
+      start: "thread{n}.Start();\n",
+      join: "thread{n}.Join();\n",
+    },
+    FunctionNode: { pre: "static void ", preValue: "static {type} ", between: "(", post: ")", param: "{type} " },
+    CaseNode: { pre: "switch (", post: ")" },
+    InsertCase: {
+      preNormal: "case ",
+      preDefault: "default",
+      post: ":\n",
+      postpost: "break;\n",
+      defaultBreak: true,
+    },
+    types: { int: "int", double: "double", String: "string", boolean: "bool", array: "{type}[]" },
+    variables: {
+      declare: "{type} {var} = {init};\n",
+      init: { int: "0", double: "0.0", String: '""', boolean: "false", array: "new {element}[100]" },
+    },
+    expression: "csharp",
+    // Two integers divide exactly, as in the diagram
+    divide: "(double) {value}",
+    comment: "// ",
+    leftBracket: "{",
+    rightBracket: "}",
+    pseudoSwitch: false,
+    runnable: {
+      imports: "using System;\n",
+      parallelImports: "using System.Threading;\n",
+      open: "class Program {\n",
+      close: "}\n",
+      level: 1,
+      mainPre: "static void Main() {\n",
+      mainPost: "}\n",
+      input: {
+        int: 'Console.Write("{prompt}");\n{var} = int.Parse(Console.ReadLine());\n',
+        double: 'Console.Write("{prompt}");\n{var} = double.Parse(Console.ReadLine());\n',
+        String: 'Console.Write("{prompt}");\n{var} = Console.ReadLine();\n',
+        boolean: 'Console.Write("{prompt}");\n{var} = bool.Parse(Console.ReadLine());\n',
+      },
+    },
+  },
+  c: {
+    InputNode: { pre: 'scanf("%d", &', post: ");\n" },
+    OutputNode: {
+      pre: 'printf("%d\\n", ',
+      literalPre: 'printf("%s\\n", ',
+      post: ");\n",
+      // Expressions are printed with the format of their type
+      typed: { printf: 'printf("{format}\\n"{args});\n', format: PRINTF_FORMATS },
+    },
+    TaskNode: { pre: "", post: ";\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
+    // C has no exceptions: the try block runs as is, the catch block is commented out
+    TryCatchNode: {
+      unsupported: "// try/catch: C has no exceptions, the catch block never runs\n",
+      pre: "{",
+      between: "// catch (",
+      post: "):\n",
+    },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for ({decl}{var} = {from}; {var} {cmp} {to}; {update})",
+    },
+    HeadLoopNode: { pre: "while (", post: ")" },
+    FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
+    // Standard C has no portable threads: the branches run one after another
+    ParallelNode: {
+      pre: "// parallel branches, run one after another\n",
+      branchPre: "{\n",
+      branchPost: "}\n",
+    },
+    FunctionNode: { pre: "void ", preValue: "{type} ", between: "(", post: ")", param: "{type} " },
+    CaseNode: { pre: "switch (", post: ")" },
+    InsertCase: {
+      preNormal: "case ",
+      preDefault: "default",
+      post: ":\n",
+      postpost: "break;\n",
+      defaultBreak: true,
+    },
+    program: {
+      pre: "#include <stdio.h>\n",
+      mainPre: "int main() {\n",
+      mainPost: "    return 0;\n}\n",
+    },
+    types: { int: "int", double: "double", String: "char*", boolean: "int", array: "{type}*" },
+    variables: {
+      // Strings and arrays get a fixed-size buffer; strings are copied
+      declare: {
+        int: "int {var} = 0;\n",
+        double: "double {var} = 0.0;\n",
+        String: 'char {var}[256] = "";\n',
+        boolean: "int {var} = 0;\n",
+        array: "{element} {var}[100] = {0};\n",
+      },
+      assignString: "strcpy({var}, {value})",
+      // s ← s + t appends; other concatenations are formatted into the buffer
+      appendString: "strcat({var}, {value})",
+      formatString: 'snprintf({var}, 256, "{format}"{args})',
+      appendFormat: 'snprintf({var} + strlen({var}), 256 - strlen({var}), "{format}"{args})',
+      format: PRINTF_FORMATS,
+      includes: { String: "#include <string.h>\n" },
+    },
+    expression: "c",
+    // Two integers divide exactly, as in the diagram
+    divide: "(double) {value}",
+    comment: "// ",
+    leftBracket: "{",
+    rightBracket: "}",
+    pseudoSwitch: false,
+    runnable: {
+      imports: "#include <stdio.h>\n",
+      mainPre: "int main() {\n",
+      mainPost: "    return 0;\n}\n",
+      prototypes: true,
+      input: {
+        int: 'printf("{prompt}");\nscanf("%d", &{var});\n',
+        double: 'printf("{prompt}");\nscanf("%lf", &{var});\n',
+        String: 'printf("{prompt}");\nscanf("%255s", {var});\n',
+        boolean: 'printf("{prompt}");\nscanf("%d", &{var});\n',
+      },
+      // String literals go into the format, other values become arguments
+      output: {
+        printf: 'printf("{format}\\n"{args});\n',
+        format: PRINTF_FORMATS,
+      },
+    },
+  },
+  cpp: {
+    InputNode: { pre: "std::cin >> ", post: ";\n" },
+    OutputNode: { pre: "std::cout << ", post: " << std::endl;\n" },
+    TaskNode: { pre: "", post: ";\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "return", post: ";\n" },
+    BreakNode: { pre: "break", post: ";\n" },
+    ContinueNode: { pre: "continue", post: ";\n" },
+    BranchNode: { pre: "if (", post: ")", between: "} else {\n", elseIf: "} else if (" },
+    // The pseudocode exception type is no C++ type, so every exception is caught
+    TryCatchNode: { pre: "try", between: "catch (", post: ")", catchAll: "..." },
+    CountLoopNode: {
+      pre: "for (",
+      post: ")",
+      counted: "for ({decl}{var} = {from}; {var} {cmp} {to}; {update})",
+    },
+    HeadLoopNode: { pre: "while (", post: ")" },
+    FootLoopNode: { prepre: "do", pre: "while (", post: ");\n" },
+    ParallelNode: {
+      include: "#include <thread>\n",
+      branchPre: "std::thread thread{n}([&]() {\n",
+      branchPost: "});\n",
+      join: "thread{n}.join();\n",
+    },
+    FunctionNode: { pre: "void ", preValue: "{type} ", between: "(", post: ")", param: "{type} " },
+    CaseNode: { pre: "switch (", post: ")" },
+    InsertCase: {
+      preNormal: "case ",
+      preDefault: "default",
+      post: ":\n",
+      postpost: "break;\n",
+      defaultBreak: true,
+    },
+    program: {
+      pre: "#include <iostream>\n",
+      mainPre: "int main() {\n",
+      mainPost: "    return 0;\n}\n",
+    },
+    types: { int: "int", double: "double", String: "std::string", boolean: "bool", array: "std::vector<{type}>" },
+    variables: {
+      declare: "{type} {var} = {init};\n",
+      init: { int: "0", double: "0.0", String: '""', boolean: "false", array: "std::vector<{element}>(100)" },
+      includes: { array: "#include <vector>\n" },
+    },
+    expression: "cpp",
+    // Two integers divide exactly, as in the diagram
+    divide: "(double) {value}",
+    comment: "// ",
+    leftBracket: "{",
+    rightBracket: "}",
+    pseudoSwitch: false,
+    runnable: {
+      imports: "#include <iostream>\n#include <string>\n",
+      parallelImports: "#include <thread>\n",
+      mainPre: "int main() {\n",
+      mainPost: "    return 0;\n}\n",
+      prototypes: true,
+      input: 'std::cout << "{prompt}";\nstd::cin >> {var};\n',
+      output: { join: " << " },
+      // + only concatenates strings
+      convert: { int: "std::to_string({value})", double: "std::to_string({value})", boolean: "std::to_string({value})" },
+    },
+  },
+  pascal: {
+    InputNode: { pre: "readln(", post: ");\n" },
+    OutputNode: { pre: "writeln(", post: ");\n" },
+    TaskNode: { pre: "", post: ";\n" },
+    CallNode: { pre: "", post: ";\n" },
+    ReturnNode: { pre: "Exit", valuePre: "(", valuePost: ")", post: ";\n" },
+    BreakNode: { pre: "Break", post: ";\n" },
+    ContinueNode: { pre: "Continue", post: ";\n" },
+    BranchNode: { pre: "if ", post: " then", between: "end else begin\n", elseIf: "end else if " },
+    TryCatchNode: {
+      pre: "try\n",
+      between: "except\n",
+      handler: "on {name}: {type} do begin\n",
+      handlerPost: "end;\n",
+      post: "end;\n",
+      // Exception classes need SysUtils and the objfpc mode of Free Pascal
+      include: "{$mode objfpc}\nuses SysUtils;\n",
+    },
+    // for ... to counts by one only; other steps become a while loop
+    CountLoopNode: {
+      pre: "for ",
+      post: " do",
+      counted: "for {var} := {from} {dir} {to} do",
+      up: "to",
+      down: "downto",
+      stepped: {
+        init: "{var} := {from};\n",
+        head: "while {var} {cmp} {to} do",
+        update: "{var} := {var} {sign} {size};\n",
+      },
+    },
+    HeadLoopNode: { pre: "while ", post: " do" },
+    // repeat ... until runs while the condition is false, so it is negated
+    FootLoopNode: { prepre: "repeat\n", pre: "until not (", post: ");\n", bare: true },
+    ParallelNode: {
+      pre: "// parallel branches, run one after another\n",
+      branchPre: "begin\n",
+      branchPost: "end;\n",
+    },
+    FunctionNode: {
+      pre: "procedure ",
+      preValue: "function ",
+      between: "(",
+      post: ");",
+      postValue: "): {type};",
+      paramPost: ": {type}",
+      paramSeparator: "; ",
+      open: "begin\n",
+    },
+    CaseNode: { pre: "case ", post: " of\n" },
+    InsertCase: {
+      preNormal: "",
+      preDefault: "else",
+      post: ": begin\n",
+      defaultPost: " begin\n",
+      postpost: "end;\n",
+      labelled: true,
+    },
+    program: {
+      pre: "program Struktogramm;\n",
+      mainPre: "begin\n",
+      mainPost: "end.\n",
+    },
+    assign: ":=",
+    operators: { "==": "=", "!=": "<>" },
+    types: { int: "Integer", double: "Real", String: "String", boolean: "Boolean", array: "array of {type}" },
+    // Variables are declared in a var section before the begin of a block
+    variables: { section: "var\n", declare: "{var}: {type};\n" },
+    expression: "pascal",
+    comment: "// ",
+    leftBracket: "begin",
+    rightBracket: "end;",
+    pseudoSwitch: false,
+    runnable: {
+      imports: "program Struktogramm;\n",
+      mainPre: "begin\n",
+      mainPost: "end.\n",
+      input: "write('{prompt}');\nreadln({var});\n",
+      output: { join: ", " },
+      // + only concatenates strings
+      convert: { int: "IntToStr({value})", double: "FloatToStr({value})", boolean: "BoolToStr({value}, True)" },
+      convertImports: "uses SysUtils;\n",
+    },
   },
 };
 
@@ -79,20 +573,685 @@ function indent(level) {
   return "    ".repeat(level);
 }
 
+/** Indent every line of a (possibly multi-line) template string. */
+function indentLines(str, level) {
+  return str.replace(/^(?=.)/gm, indent(level));
+}
+
+let _threadCounter = 0;
+// Variables already declared, for targets that declare on first assignment
+let _declared = new Set();
+// Keyword maps whose operator words and literals node texts may use
+let _keywords = [];
+// Whether generated lines are tagged with the id of their node
+let _mapLines = false;
+// Program settings of the target while generating a runnable program
+let _runnable = null;
+// Whether the runnable program converted a value for a string concatenation
+let _converted = false;
+// Inferred variable types of the program (see type-inference.js), and the
+// scope of the function being generated or of the main program
+let _types = null;
+let _scope = null;
+
+// Invisible tag `\uE000id\uE001` before the newline of a tagged line
+const TAG_START = "\uE000";
+const TAG_END = "\uE001";
+const TAG = /\uE000([^\uE001]*)\uE001/g;
+
+// Templates every translation needs, unless a hook handles the node type
+const REQUIRED_TEMPLATES = [
+  "TaskNode", "InputNode", "OutputNode", "CallNode", "ReturnNode", "BreakNode",
+  "ContinueNode", "BranchNode", "TryCatchNode", "CountLoopNode", "HeadLoopNode",
+  "FootLoopNode", "ParallelNode", "FunctionNode", "CaseNode", "InsertCase",
+];
+
+/**
+ * Add a code generation target, or replace one.
+ *
+ * A translation has the same shape as the built-in ones (pre/post/between
+ * templates per node type); `extends: "java"` copies every template it does
+ * not define from a registered language. `hooks` maps node types to
+ * functions `(node, context) => string | string[] | undefined` that generate
+ * a node themselves; returning undefined falls back to the template. Each
+ * string holds one or more indented lines (use `context.indent`); a missing
+ * newline at its end is added, empty strings are left out. The
+ * context offers `level`, `indent`, `lang`, `generate(child, level)`,
+ * `expression(text)`, `condition(text)` and `statement(text)`.
+ *
+ * A `runnable` section describes the complete program for the `runnable`
+ * option (see the built-in languages); it is not inherited through `extends`.
+ *
+ * Instead of a translation, a transformer `(tree, options) => string` takes
+ * over code generation for the language completely.
+ *
+ * @param {string} name - Language name as passed to generateCode/toCode
+ * @param {Object|Function} definition - Translation or transformer
+ */
+export function registerLanguage(name, definition) {
+  const key = String(name).toLowerCase();
+  if (typeof definition === "function") {
+    TRANSLATIONS[key] = definition;
+    return;
+  }
+  let translation = definition;
+  if (definition.extends) {
+    const base = TRANSLATIONS[String(definition.extends).toLowerCase()];
+    if (!base || typeof base === "function") {
+      throw new Error(`Cannot extend language: ${definition.extends}`);
+    }
+    translation = {
+      ...base,
+      ...definition,
+      hooks: { ...base.hooks, ...definition.hooks },
+      runnable: definition.runnable,
+    };
+  }
+  const hooks = translation.hooks || {};
+  const missing = REQUIRED_TEMPLATES.filter((type) => !translation[type] && !hooks[type]);
+  if (missing.length > 0) {
+    throw new Error(`Language ${name} has no template or hook for: ${missing.join(", ")}`);
+  }
+  TRANSLATIONS[key] = { comment: "", ...translation };
+}
+
+/** @returns {string[]} Names of all languages generateCode accepts */
+export function getLanguages() {
+  return Object.keys(TRANSLATIONS);
+}
+
 /**
  * Generate source code from a struktog tree.
  * @param {Object} tree - The struktog tree (root InsertNode)
- * @param {string} lang - Target language: "python", "java", or "javascript"
- * @returns {string} The generated source code
+ * @param {string} lang - Target language: "python", "java", "javascript",
+ *   "typescript", "csharp", "c", "cpp", "pascal" or a registered language
+ * @param {Object} [options]
+ * @param {Object|Object[]} [options.keywords=KEYWORDS_DE] - Keyword map of
+ *   the pseudocode language, used to read `und`/`oder`/`nicht` and
+ *   `Wahr`/`Falsch` in node texts; the English words, which imported code
+ *   uses, are read as well. An array of maps reads the words of exactly these
+ *   languages.
+ * @param {boolean} [options.sourceMap] - Also return which node each line
+ *   was generated from
+ * @param {Object<string, string>} [options.types] - Variable types that
+ *   override the inferred ones, e.g. `{ n: "double", "f.x": "String" }`
+ *   (see inferTypes)
+ * @param {boolean} [options.runnable] - Generate a complete program that
+ *   compiles and runs as is: functions before the main program, a class and
+ *   main() where the language needs them, declared variables and input read
+ *   from the console and converted to the variable's type
+ * @returns {string|{code: string, map: Array<{line: number, nodeId: string}>}}
+ *   The generated source code, or with `sourceMap` the code and the 1-based
+ *   lines that belong to a node (wrapper lines such as `int main()` have none)
  */
-export function generateCode(tree, lang = "python") {
+export function generateCode(tree, lang = "python", options = {}) {
   const t = TRANSLATIONS[lang.toLowerCase()];
   if (!t) {
     throw new Error(
       `Unsupported language: ${lang}. Supported: ${Object.keys(TRANSLATIONS).join(", ")}`,
     );
   }
-  return transform(tree, 0, t, lang.toLowerCase()).join("");
+  _threadCounter = 0;
+  _declared = new Set();
+  _keywords = options.keywords || KEYWORDS_DE;
+  _mapLines = Boolean(options.sourceMap) && typeof t !== "function";
+  let code;
+  if (typeof t === "function") {
+    code = t(tree, options);
+  } else {
+    _types = inferTypes(tree, { keywords: _keywords, types: options.types });
+    _scope = _types.main;
+    if (options.runnable && t.runnable) {
+      code = runnableProgram(tree, t, lang.toLowerCase());
+    } else if (t.program) {
+      code = wrapProgram(tree, t, lang.toLowerCase());
+    } else {
+      const declarations = [...typedDeclarations(_types.main, [], 0, t), ...hoistDeclarations(tree, 0, t)];
+      code = [...declarations, ...transform(tree, 0, t, lang.toLowerCase())].join("");
+    }
+    _types = null;
+    _scope = null;
+  }
+  _mapLines = false;
+  return options.sourceMap ? lineMap(code) : code;
+}
+
+/** Split tagged code into plain code and its line → node map. */
+function lineMap(tagged) {
+  const map = [];
+  const lines = tagged.split("\n").map((line, i) => {
+    const tag = line.match(new RegExp(TAG.source));
+    if (tag) map.push({ line: i + 1, nodeId: tag[1] });
+    return line.replace(TAG, "");
+  });
+  return { code: lines.join("\n"), map };
+}
+
+/**
+ * Tag the lines a node generated itself with its id. Lines of child nodes
+ * already carry their own tag; blank lines stay untagged.
+ */
+function tagLines(lines, node) {
+  if (!_mapLines || !node.id) return;
+  for (let i = 0; i < lines.length; i++) {
+    lines[i] = lines[i].replace(/([^\n]*)\n/g, (line, content) =>
+      content.includes(TAG_START) || !content.trim() ? line : content + TAG_START + node.id + TAG_END + "\n");
+  }
+}
+
+/**
+ * Generate a complete program for languages that need an entry point:
+ * top-level functions come first, all other statements go into main().
+ */
+function wrapProgram(tree, t, lang) {
+  const { functions, statements } = splitProgram(tree);
+  const lines = [t.program.pre, ...typeIncludes(t)];
+  for (const type of ["ParallelNode", "TryCatchNode"]) {
+    if (t[type].include && containsType(tree, type)) lines.push(t[type].include);
+  }
+  lines.push("\n");
+  for (const fn of functions) {
+    lines.push(...transform(fn, 0, t, lang), "\n");
+  }
+  const declarations = typedDeclarations(_types.main, [], 1, t);
+  if (t.variables.section) lines.push(...declarations);
+  lines.push(t.program.mainPre);
+  if (!t.variables.section) lines.push(...declarations);
+  for (const statement of statements) {
+    lines.push(...transform(statement, 1, t, lang));
+  }
+  lines.push(t.program.mainPost);
+  return lines.join("");
+}
+
+/** The top-level functions and the other top-level statements, each unchained. */
+function splitProgram(tree) {
+  const functions = [];
+  const statements = [];
+  for (let node = tree; node; node = node.followElement) {
+    if (node.type === "InsertNode" || node.type === "Placeholder") continue;
+    const single = { ...node, followElement: null };
+    if (node.type === "FunctionNode") functions.push(single);
+    else statements.push(single);
+  }
+  return { functions, statements };
+}
+
+/**
+ * Generate a program that runs as is, following the target's `runnable`
+ * section: imports, an optional class around everything, input setup,
+ * functions, then main() with the declarations of its variables.
+ */
+function runnableProgram(tree, t, lang) {
+  const r = t.runnable;
+  // The program may replace single templates, e.g. to type parameters
+  const rt = { ...t };
+  for (const [key, template] of Object.entries(r.templates || {})) {
+    rt[key] = typeof template === "object" ? { ...t[key], ...template } : template;
+  }
+  _runnable = r;
+  _converted = false;
+
+  const { functions, statements } = splitProgram(tree);
+  const reads = containsType(tree, "InputNode");
+  const level = r.level || 0;
+  const lines = [];
+  if (r.open) lines.push(r.open);
+  if (reads && r.inputSetup) lines.push(indentLines(r.inputSetup, level), "\n");
+  // C needs a function declared before it is called
+  if (r.prototypes && functions.length > 1) {
+    for (const fn of functions) lines.push(indent(level) + functionHeader(fn, rt) + ";\n");
+    lines.push("\n");
+  }
+  for (const fn of functions) {
+    lines.push(...transform(fn, level, rt, lang), "\n");
+  }
+
+  const declarations = typedDeclarations(_types.main, [], level + 1, rt);
+  const section = rt.variables && rt.variables.section;
+  if (section) lines.push(...declarations);
+  lines.push(indentLines(r.mainPre, level));
+  if (!section) lines.push(...declarations);
+  const body = hoistDeclarations(tree, level + 1, rt);
+  for (const statement of statements) {
+    body.push(...transform(statement, level + 1, rt, lang));
+  }
+  if (body.length === 0 && declarations.length === 0 && r.empty) {
+    body.push(indentLines(r.empty, level + 1));
+  }
+  lines.push(...body);
+  if (reads && r.inputClose) lines.push(indentLines(r.inputClose, level + 1));
+  if (r.mainPost) lines.push(indentLines(r.mainPost, level));
+  if (r.close) lines.push(r.close);
+
+  // The imports come last, when the conversions the program needs are known
+  const imports = [r.imports, ...typeIncludes(t), reads && r.inputImports]
+    .concat(containsType(tree, "ParallelNode") && r.parallelImports)
+    .concat(containsType(tree, "TryCatchNode") && t.TryCatchNode.include)
+    .concat(_converted && r.convertImports)
+    .filter(Boolean);
+  // Each import line once, e.g. a unit both a try block and a conversion use
+  const head = [...new Set(imports.join("").split(/(?<=\n)/))].filter(Boolean);
+  if (head.length > 0) lines.unshift(...head, "\n");
+
+  let code = lines.join("");
+  if (r.async) code = awaitCalls(code, asyncFunctions(_types.functions));
+  _runnable = null;
+  return code;
+}
+
+/**
+ * Declarations of the variables of a scope for targets with typed
+ * `variables`, skipping the given names (parameters). Counters of count
+ * loops whose head declares them are left to the loop.
+ */
+function typedDeclarations(scope, skip, level, t) {
+  const v = t.variables;
+  if (!v) return [];
+  const headDeclares = t.CountLoopNode.counted && t.CountLoopNode.counted.includes("{decl}");
+  const lines = [];
+  for (const [name, type] of scope.types) {
+    if (skip.includes(name) || (headDeclares && scope.counters.has(name))) continue;
+    const kind = elementType(type) ? "array" : type;
+    const element = typeName(elementType(type), t);
+    const template = typeof v.declare === "string" ? v.declare : v.declare[kind];
+    const init = v.init ? fill(v.init[kind], { element }) : "";
+    lines.push(indent(level) + fill(template, { var: name, type: typeName(type, t), element, init }));
+  }
+  if (lines.length > 0 && v.section) lines.unshift(indent(level - 1) + v.section);
+  return lines;
+}
+
+/** The includes a target needs for the types its variables use, e.g. <vector> for arrays in C++. */
+function typeIncludes(t) {
+  const includes = (t.variables && t.variables.includes) || {};
+  const used = new Set();
+  for (const scope of [_types.main, ..._types.functions.values()]) {
+    for (const type of scope.types.values()) used.add(elementType(type) ? "array" : type);
+  }
+  return Object.keys(includes).filter((kind) => used.has(kind)).map((kind) => includes[kind]);
+}
+
+/** The target's name for an inferred type, e.g. `std::vector<int>` for int[]. */
+function typeName(type, t) {
+  if (!t.types || !type) return "";
+  const element = elementType(type);
+  return element ? fill(t.types.array, { type: t.types[element] }) : t.types[type];
+}
+
+/** The inferred type of a variable in the current scope. */
+function typeOf(name) {
+  return (_scope && _scope.types.get(name)) || "int";
+}
+
+/**
+ * Functions that have to be async in JavaScript: those that read input or
+ * run branches in parallel, and those that call them.
+ */
+function asyncFunctions(functions) {
+  const names = new Set();
+  for (const [name, fn] of functions) {
+    if (containsType(fn.node.child, "InputNode") || containsType(fn.node.child, "ParallelNode")) names.add(name);
+  }
+  for (let grown = true; grown;) {
+    grown = false;
+    for (const [name, fn] of functions) {
+      if (!names.has(name) && [...fn.calls].some((callee) => names.has(callee))) {
+        names.add(name);
+        grown = true;
+      }
+    }
+  }
+  return names;
+}
+
+/** Make the given functions async and await every call of them. */
+function awaitCalls(code, names) {
+  for (const name of names) {
+    const fn = name.replace(/\$/g, "\\$");
+    code = code
+      // A declared return type becomes a promise of it
+      .replace(new RegExp(`^(\\s*)function ${fn}\\((.*)\\): (.+?) \\{`, "gm"), `$1async function ${name}($2): Promise<$3> {`)
+      .replace(new RegExp(`^(\\s*)function ${fn}\\(`, "gm"), `$1async function ${name}(`)
+      .replace(new RegExp(`(?<![\\p{L}\\p{N}_$.]|function )${fn}\\(`, "gu"), `await ${name}(`);
+  }
+  return code;
+}
+
+/** The prompt an input shows, from the text of its node. */
+function promptText(text) {
+  return String(text || "").trim().replace(/["'\\%]/g, "") + ": ";
+}
+
+/**
+ * An output statement that joins the parts of a string concatenation the way
+ * the target needs it, e.g. `std::cout << "n = " << n` or a printf format.
+ * Returns null when the text is no expression.
+ */
+function runnableOutput(text, t, output) {
+  const ast = parseExpression(text, { keywords: _keywords });
+  if (!ast) return null;
+  const parts = concatParts(ast);
+  if (output.format) return fill(output.printf, printfArguments(parts, t, output.format));
+  const value = parts.map((part) => written(part, t)).join(output.join);
+  return t.OutputNode.pre + value + t.OutputNode.post;
+}
+
+/**
+ * A printf format and its arguments for the given values: string literals
+ * go into the format, other values get the conversion of their type.
+ */
+function printfArguments(parts, t, formats) {
+  let format = "";
+  let args = "";
+  for (const part of parts) {
+    if (part.type === "literal" && part.kind === "string") {
+      format += part.value.slice(1, -1).replace(/%/g, "%%").replace(/(^|[^\\])"/g, '$1\\"');
+    } else {
+      format += formats[expressionType(part, _scope.types, _types.functions) || "int"];
+      args += ", " + written(part, t);
+    }
+  }
+  return { format, args };
+}
+
+/** The operands of a string concatenation `a + b + c`, or the expression itself. */
+function concatParts(ast) {
+  if (ast.type !== "binary" || ast.op !== "+" || expressionType(ast, _scope.types, _types.functions) !== "String") {
+    return [ast];
+  }
+  return [...concatParts(ast.left), ast.right];
+}
+
+/** Write an expression for the target, adapted to the types of its operands. */
+function written(ast, t) {
+  return formatExpression(typedExpression(ast, t), t.expression);
+}
+
+/**
+ * Adapt an expression to the types of its operands: a division of two
+ * integers divides exactly where the target has a `divide` template, and
+ * runnable programs convert the numbers and booleans a string concatenation
+ * joins where the target's `+` only joins strings, e.g. `"n = " + str(n)`.
+ */
+function typedExpression(ast, t) {
+  const convert = _runnable && _runnable.convert;
+  if (!t.divide && !convert) return ast;
+  const typeOfPart = (part) => expressionType(part, _scope.types, _types.functions);
+  // A name node is written verbatim
+  const wrapped = (template, value) => ({ type: "name", name: fill(template, { value }) });
+  const walk = (node) => {
+    switch (node.type) {
+      case "binary": {
+        const left = walk(node.left);
+        const right = walk(node.right);
+        if (node.op === "/" && t.divide && typeOfPart(node.left) === "int" && typeOfPart(node.right) === "int") {
+          const dividend = formatExpression(left, t.expression);
+          return { ...node, left: wrapped(t.divide, left.type === "binary" ? "(" + dividend + ")" : dividend), right };
+        }
+        if (!convert || node.op !== "+" || typeOfPart(node) !== "String") return { ...node, left, right };
+        const operand = (part, converted) => {
+          const template = convert[typeOfPart(part)];
+          if (!template) return converted;
+          _converted = true;
+          return wrapped(template, formatExpression(converted, t.expression));
+        };
+        return { ...node, left: operand(node.left, left), right: operand(node.right, right) };
+      }
+      case "unary":
+        return { ...node, operand: walk(node.operand) };
+      case "call":
+        return { ...node, args: node.args.map(walk) };
+      case "index":
+        return { ...node, object: walk(node.object), index: walk(node.index) };
+      case "array":
+        return { ...node, items: node.items.map(walk) };
+      case "assign":
+        return { ...node, value: walk(node.value) };
+      default:
+        return node;
+    }
+  };
+  return walk(ast);
+}
+
+/** Whether a node of the given type occurs anywhere in the tree. */
+function containsType(node, type) {
+  if (!node) return false;
+  if (node.type === type) return true;
+  for (const key of ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild", "defaultNode"]) {
+    if (node[key] && containsType(node[key], type)) return true;
+  }
+  return (node.cases || []).some((c) => containsType(c, type)) ||
+    (node.branches || []).some((b) => containsType(b, type));
+}
+
+/** The head of a function definition, without the opening bracket. */
+function functionHeader(node, t) {
+  const f = t.FunctionNode;
+  const fn = _types && _types.functions.get(node.text);
+  const paramType = (name) => ({ type: typeName(fn ? fn.types.get(name) : "int", t) });
+  const params = (node.parameters || [])
+    .map((p) => fill(f.param || "", paramType(p.parName)) + p.parName + fill(f.paramPost || "", paramType(p.parName)))
+    .join(f.paramSeparator || ", ");
+  const value = f.preValue && returnsValue(node.child);
+  const returns = { type: typeName(fn ? fn.returns : "int", t) };
+  return (
+    (value ? fill(f.preValue, returns) : f.pre) +
+    (node.text || "") +
+    f.between +
+    params +
+    (value && f.postValue ? fill(f.postValue, returns) : f.post)
+  );
+}
+
+/**
+ * Whether a function body contains a ReturnNode with a value.
+ * Nested function definitions are not searched.
+ */
+function returnsValue(node) {
+  if (!node) return false;
+  if (node.type === "ReturnNode" && node.text) return true;
+  if (node.type === "FunctionNode") return returnsValue(node.followElement);
+  for (const key of ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild"]) {
+    if (node[key] && returnsValue(node[key])) return true;
+  }
+  if (node.cases && node.cases.some(returnsValue)) return true;
+  if (node.branches && node.branches.some(returnsValue)) return true;
+  return returnsValue(node.defaultNode);
+}
+
+/**
+ * Rewrite a statement such as `x ← y + 1` in the target language, declaring
+ * `x` on its first assignment where the target asks for it.
+ */
+function statement(text, t) {
+  const ast = t.expression && parseExpression(text, { keywords: _keywords, statement: true });
+  if (ast) {
+    const name = ast.type === "assign" && ast.target.type === "name" ? ast.target.name : null;
+    if (name && t.variables && t.variables.assignString && typeOf(name) === "String") {
+      return stringAssignment(name, ast.value, t);
+    }
+    return (name ? declaration(name, t) : "") + written(ast, t);
+  }
+  // Not an expression: only the assignment operator is adapted
+  if (!t.assign && !t.declare) return text;
+  const match = ASSIGNMENT.exec(text);
+  if (!match) return text;
+  return declaration(match[1], t) + match[1] + " " + (t.assign || "=") + " " + text.slice(match[0].length);
+}
+
+/** Assign to a string buffer, e.g. in C, where + does not concatenate. */
+function stringAssignment(name, value, t) {
+  const v = t.variables;
+  const parts = concatParts(value);
+  if (parts.length === 1 || !v.formatString) {
+    return fill(v.assignString, { var: name, value: written(value, t) });
+  }
+  const appends = parts[0].type === "name" && parts[0].name === name;
+  const rest = appends ? parts.slice(1) : parts;
+  const strings = rest.every((part) => expressionType(part, _scope.types, _types.functions) === "String");
+  if (appends && strings) {
+    // strcat returns its target, so the calls nest
+    return rest.reduce((target, part) => fill(v.appendString, { var: target, value: written(part, t) }), name);
+  }
+  return fill(appends ? v.appendFormat : v.formatString, { var: name, ...printfArguments(rest, t, v.format) });
+}
+
+const ASSIGNMENT = /^([^=<>!:+\-*/%]+?)\s*=(?![=>])\s*/;
+const IDENTIFIER = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
+
+/** The declaration keyword if `name` is assigned here for the first time. */
+function declaration(name, t) {
+  if (!t.declare || !IDENTIFIER.test(name) || _declared.has(name)) return "";
+  _declared.add(name);
+  return t.declare;
+}
+
+/** Variable names a TaskNode or InputNode assigns to. */
+function assignedNames(node) {
+  if (node.type === "InputNode") {
+    const name = inputTarget(node.text);
+    return IDENTIFIER.test(name) ? [name] : [];
+  }
+  if (node.type !== "TaskNode") return [];
+  return (node.text || "").split("\n")
+    .map((line) => {
+      const ast = parseExpression(line, { keywords: _keywords, statement: true });
+      if (ast) return ast.type === "assign" && ast.target.type === "name" ? ast.target.name : null;
+      const match = ASSIGNMENT.exec(line.trim());
+      return match && match[1];
+    })
+    .filter((name) => name && IDENTIFIER.test(name));
+}
+
+/** Collect the names assigned anywhere below a node, without nested functions. */
+function collectAssigned(node, names) {
+  if (!node || node.type === "FunctionNode") return;
+  names.push(...assignedNames(node));
+  for (const key of ["followElement", ...CHILD_KEYS]) collectAssigned(node[key], names);
+  for (const c of node.cases || []) collectAssigned(c, names);
+  for (const b of node.branches || []) collectAssigned(b, names);
+}
+
+const CHILD_KEYS = ["trueChild", "falseChild", "child", "tryChild", "catchChild", "defaultNode"];
+
+/**
+ * Declarations for targets that declare on first assignment: a variable first
+ * assigned inside a block is declared up front, so it stays visible after the
+ * block. Names declared this way are marked as declared.
+ */
+function hoistDeclarations(chain, level, t) {
+  if (!t.declare) return [];
+  const seen = new Set(_declared);
+  const hoisted = [];
+  for (let node = chain; node; node = node.followElement) {
+    if (node.type === "FunctionNode") continue;
+    assignedNames(node).forEach((name) => seen.add(name));
+    const inner = [];
+    for (const key of CHILD_KEYS) collectAssigned(node[key], inner);
+    for (const c of node.cases || []) collectAssigned(c, inner);
+    for (const b of node.branches || []) collectAssigned(b, inner);
+    for (const name of inner) {
+      if (!seen.has(name)) hoisted.push(name);
+      seen.add(name);
+    }
+  }
+  hoisted.forEach((name) => _declared.add(name));
+  return hoisted.map((name) => indent(level) + t.declare + name + ";\n");
+}
+
+/** Values for the {placeholders} of the count loop templates. */
+function countLoopPlaceholders(loop, c) {
+  const step = String(loop.step || "1").trim();
+  const down = step.startsWith("-");
+  const size = step.replace(/^-\s*/, "");
+  const to = String(loop.to).trim();
+  // range() excludes its end, so the end moves one step further
+  const stop = /^-?\d+$/.test(to) ? String(Number(to) + (down ? -1 : 1)) : to + (down ? " - 1" : " + 1");
+  let update = `${loop.variable} += ${step}`;
+  if (size === "1") update = loop.variable + (down ? "--" : "++");
+  else if (down) update = `${loop.variable} -= ${size}`;
+  return {
+    var: loop.variable,
+    from: String(loop.from).trim(),
+    to,
+    stop,
+    rangeStep: step === "1" ? "" : ", " + step,
+    sign: down ? "-" : "+",
+    size,
+    cmp: down ? ">=" : "<=",
+    dir: down ? c.down : c.up,
+    update,
+    unit: size === "1",
+  };
+}
+
+/** Replace {name} placeholders in a template. */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in values ? values[name] : m));
+}
+
+/** Translate an expression for the target; other text stays verbatim. */
+function expr(text, t) {
+  const ast = t.expression && parseExpression(text, { keywords: _keywords });
+  return ast ? written(ast, t) : text;
+}
+
+/** The condition of a case in an if/elif chain; `fall 2, 3` tests both values. */
+function caseCondition(subject, label, t) {
+  const options = { keywords: _keywords };
+  const left = parseExpression(subject, options);
+  const values = caseLabels(label).map((value) => parseExpression(value, options));
+  if (!t.expression || !left || values.some((value) => !value)) return expr(subject, t) + " == " + expr(label, t);
+  const tests = values.map((right) => ({ type: "binary", op: "==", left, right }));
+  return written(tests.reduce((a, b) => ({ type: "binary", op: "or", left: a, right: b })), t);
+}
+
+/** Translate a condition, where a single `=` compares. */
+function condition(text, t) {
+  const ast = t.expression && parseExpression(text, { keywords: _keywords });
+  if (ast) return written(ast, t);
+  // Not an expression: only the comparison operators are adapted
+  if (!t.operators) return text;
+  return text.replace(/==|!=/g, (op) => t.operators[op] || op);
+}
+
+
+/** Render a node comment as line comments of the target language. */
+function commentLines(comment, level, t) {
+  if (!comment) return [];
+  return comment.split("\n").map((part) => indent(level) + (t.comment + part).trimEnd() + "\n");
+}
+
+/** What a registered language's node hook gets to work with. */
+function hookContext(level, t, lang) {
+  return {
+    level,
+    indent: indent(level),
+    lang,
+    generate: (child, childLevel = level + 1) => transform(child, childLevel, t, lang).join(""),
+    expression: (text) => expr(text, t),
+    condition: (text) => condition(text, t),
+    statement: (text) => statement(text, t),
+  };
+}
+
+/**
+ * Generate the body of a block; languages that need a statement in every
+ * block (`empty`, e.g. Python's pass) get one when the body has none.
+ */
+function block(node, level, t, lang) {
+  const lines = transform(node, level, t, lang);
+  const comment = t.comment.trim();
+  const statement = (line) => line.trim() !== "" && !(comment && line.trim().startsWith(comment));
+  if (t.empty && !lines.some(statement)) lines.push(indentLines(t.empty, level));
+  return lines;
+}
+
+function isEmpty(node) {
+  while (node && (node.type === "InsertNode" || node.type === "Placeholder")) node = node.followElement;
+  return !node;
 }
 
 function transform(node, level, t, lang) {
@@ -102,32 +1261,106 @@ function transform(node, level, t, lang) {
   }
 
   const text = node.text || "";
-  const lines = [];
+  const lines = commentLines(node.comment, level, t);
+
+  const hook = t.hooks && t.hooks[node.type];
+  const custom = hook && hook(node, hookContext(level, t, lang));
+  if (custom != null) {
+    // Each string is a line or several; a missing final newline is added
+    for (const part of Array.isArray(custom) ? custom : [custom]) {
+      if (part) lines.push(part.endsWith("\n") ? part : part + "\n");
+    }
+    tagLines(lines, node);
+    lines.push(...transform(node.followElement, level, t, lang));
+    return lines;
+  }
 
   switch (node.type) {
     case "TaskNode":
-      lines.push(indent(level) + t.TaskNode.pre + text + t.TaskNode.post);
+      // Each line of a multi-line task is a statement of its own
+      for (const line of text.split("\n")) {
+        lines.push(indent(level) + t.TaskNode.pre + statement(line.trim(), t) + t.TaskNode.post);
+      }
+      break;
+
+    case "InputNode": {
+      const name = inputTarget(text);
+      const input = _runnable && _runnable.input;
+      if (input) {
+        // Read a line and convert it to the variable's type
+        const template = typeof input === "string" ? input : input[typeOf(name)] || input.int;
+        const values = { var: name, prompt: promptText(text), decl: declaration(name, t) };
+        lines.push(indentLines(fill(template, values), level));
+        break;
+      }
+      lines.push(indent(level) + t.InputNode.pre + declaration(name, t) + name + t.InputNode.post);
       break;
+    }
 
-    case "InputNode":
-      lines.push(indent(level) + t.InputNode.pre + text + t.InputNode.post);
+    case "OutputNode": {
+      const typed = (_runnable && _runnable.output) || t.OutputNode.typed;
+      const output = typed && runnableOutput(text, t, typed);
+      if (output) {
+        lines.push(indent(level) + output);
+        break;
+      }
+      const value = expr(text, t);
+      // printf needs a different format for a string literal
+      const literal = t.OutputNode.literalPre && /^"[^"]*"$/.test(value.trim());
+      const pre = literal ? t.OutputNode.literalPre : t.OutputNode.pre;
+      lines.push(indent(level) + pre + value + t.OutputNode.post);
       break;
+    }
 
-    case "OutputNode":
-      lines.push(indent(level) + t.OutputNode.pre + text + t.OutputNode.post);
+    case "CallNode": {
+      // A bare name is called without arguments
+      const call = expr(/\)\s*$/.test(text) ? text : text + "()", t);
+      lines.push(indent(level) + t.CallNode.pre + call + t.CallNode.post);
       break;
+    }
 
-    case "BranchNode": {
+    case "ReturnNode": {
+      const r = t.ReturnNode;
       lines.push(
         indent(level) +
-          t.BranchNode.pre +
-          text +
-          t.BranchNode.post +
-          (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
+          r.pre +
+          (text ? (r.valuePre || " ") + expr(text, t) + (r.valuePost || "") : "") +
+          r.post,
       );
-      lines.push(...transform(node.trueChild, level + 1, t, lang));
-      lines.push(indent(level) + t.BranchNode.between);
-      lines.push(...transform(node.falseChild, level + 1, t, lang));
+      break;
+    }
+
+    case "BreakNode":
+    case "ContinueNode":
+      lines.push(indent(level) + t[node.type].pre + t[node.type].post);
+      break;
+
+    case "BranchNode": {
+      // Nested BranchNodes that fill a whole false branch become else-if
+      let branch = node;
+      let pre = t.BranchNode.pre;
+      for (;;) {
+        lines.push(
+          indent(level) +
+            pre +
+            condition(branch.text || "", t) +
+            t.BranchNode.post +
+            (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
+        );
+        lines.push(...block(branch.trueChild, level + 1, t, lang));
+        const next = soleBranch(branch.falseChild);
+        if (!next) break;
+        lines.push(...commentLines(next.comment, level + 1, t));
+        branch = next;
+        pre = t.BranchNode.elseIf;
+      }
+      // Without a closing bracket an empty else is left out
+      if (t.rightBracket || !isEmpty(branch.falseChild)) {
+        // Inside the true block where a bracket closes it
+        lines.push(...commentLines(branch.elseComment, t.rightBracket ? level + 1 : level, t));
+        lines.push(indent(level) + t.BranchNode.between);
+        lines.push(...block(branch.falseChild, level + 1, t, lang));
+      }
       if (t.rightBracket) lines.push(indent(level) + t.rightBracket + "\n");
       break;
     }
@@ -136,140 +1369,254 @@ function transform(node, level, t, lang) {
       lines.push(
         indent(level) +
           t.HeadLoopNode.pre +
-          text +
+          condition(text, t) +
           t.HeadLoopNode.post +
           (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
       );
-      lines.push(...transform(node.child, level + 1, t, lang));
+      lines.push(...block(node.child, level + 1, t, lang));
       if (t.rightBracket) lines.push(indent(level) + t.rightBracket + "\n");
       break;
 
-    case "CountLoopNode":
-      lines.push(
-        indent(level) +
-          t.CountLoopNode.pre +
-          text +
-          t.CountLoopNode.post +
-          (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
-      );
-      lines.push(...transform(node.child, level + 1, t, lang));
+    case "CountLoopNode": {
+      // A counter declared in the loop head is only visible inside the loop
+      const outer = _declared;
+      _declared = new Set(outer);
+      const c = t.CountLoopNode;
+      const fieldsOf = countLoopFields(node);
+      const loop = fieldsOf && {
+        variable: fieldsOf.variable,
+        from: expr(fieldsOf.from, t),
+        to: expr(fieldsOf.to, t),
+        step: expr(fieldsOf.step || "1", t),
+      };
+      const fields = loop && countLoopPlaceholders(loop, c);
+      // Typed targets declare a counter in the head unless it is used elsewhere
+      if (fields) fields.decl = _scope && _scope.counters.has(loop.variable) ? typeName("int", t) + " " : "";
+      const open = t.leftBracket ? " " + t.leftBracket + "\n" : "";
+      if (fields && c.stepped && !fields.unit) {
+        lines.push(indent(level) + fill(c.stepped.init, fields));
+        lines.push(indent(level) + fill(c.stepped.head, fields) + open);
+        lines.push(...block(node.child, level + 1, t, lang));
+        lines.push(indent(level + 1) + fill(c.stepped.update, fields));
+      } else {
+        const head = fields ? fill(c.counted, fields) : c.pre + statement(text, t) + c.post;
+        lines.push(indent(level) + head + open);
+        lines.push(...block(node.child, level + 1, t, lang));
+      }
+      _declared = outer;
       if (t.rightBracket) lines.push(indent(level) + t.rightBracket + "\n");
       break;
+    }
 
     case "FootLoopNode": {
+      if (t.FootLoopNode.bare) {
+        // Keywords delimit the body, e.g. Pascal's repeat ... until
+        lines.push(indent(level) + t.FootLoopNode.prepre);
+        lines.push(...block(node.child, level + 1, t, lang));
+        lines.push(...commentLines(node.conditionComment, level, t));
+        lines.push(indent(level) + t.FootLoopNode.pre + condition(text, t) + t.FootLoopNode.post);
+        break;
+      }
       lines.push(
         indent(level) +
           t.FootLoopNode.prepre +
           (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
       );
-      lines.push(...transform(node.child, level + 1, t, lang));
+      lines.push(...block(node.child, level + 1, t, lang));
+      lines.push(...commentLines(node.conditionComment, level + 1, t));
       // For Python-style: "while True" body includes "if not cond: break"
       if (t.pseudoSwitch) {
         // Python: the pre/post contain the break logic
-        lines.push(
-          indent(level) + t.FootLoopNode.pre + text + t.FootLoopNode.post,
-        );
+        const cond = t.FootLoopNode.negate
+          ? negateExpression(text, t.expression, { keywords: _keywords })
+          : condition(text, t);
+        lines.push(indent(level + 1) + t.FootLoopNode.pre + cond + t.FootLoopNode.post);
+        if (t.FootLoopNode.exit) lines.push(indent(level + 2) + t.FootLoopNode.exit);
       } else {
         if (t.rightBracket) lines.push(indent(level) + t.rightBracket + " ");
-        lines.push(t.FootLoopNode.pre + text + t.FootLoopNode.post);
+        lines.push(t.FootLoopNode.pre + condition(text, t) + t.FootLoopNode.post);
+      }
+      break;
+    }
+
+    case "ParallelNode": {
+      const p = t.ParallelNode;
+      const branchLevel = p.nested ? level + 1 : level;
+      const numbers = (node.branches || []).map(() => ++_threadCounter);
+      if (p.pre) lines.push(indentLines(p.pre, level));
+      (node.branches || []).forEach((branch, i) => {
+        lines.push(indentLines(fill(p.branchPre || "", { n: numbers[i] }), branchLevel));
+        const body = transform(branch, branchLevel + 1, t, lang);
+        if (body.length === 0 && p.empty) body.push(indentLines(p.empty, branchLevel + 1));
+        lines.push(...body);
+        lines.push(indentLines(fill(p.branchPost || "", { n: numbers[i] }), branchLevel));
+      });
+      for (const n of numbers) {
+        if (p.start) lines.push(indentLines(fill(p.start || "", { n }), level));
+      }
+      if (p.joinPre) lines.push(indentLines(p.joinPre, level));
+      for (const n of numbers) {
+        if (p.join) lines.push(indentLines(fill(p.join || "", { n }), p.joinPre ? level + 1 : level));
       }
+      if (p.joinPost) lines.push(indentLines(p.joinPost, level));
+      if (p.post) lines.push(indentLines(p.post, level));
       break;
     }
 
     case "FunctionNode": {
-      const params = (node.parameters || []).map((p) => p.parName).join(", ");
-      lines.push(
-        indent(level) +
-          t.FunctionNode.pre +
-          text +
-          t.FunctionNode.between +
-          params +
-          t.FunctionNode.post +
-          (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
-      );
-      lines.push(...transform(node.child, level + 1, t, lang));
+      const f = t.FunctionNode;
+      const params = (node.parameters || []).map((p) => p.parName);
+      lines.push(indent(level) + functionHeader(node, t) + (f.open ? "\n" : t.leftBracket ? " " + t.leftBracket + "\n" : ""));
+      // Parameters are declared; variables of the body stay local to it
+      const outer = _declared;
+      const outerScope = _scope;
+      _declared = new Set([...outer, ...params]);
+      const fn = _types && _types.functions.get(text);
+      const declarations = fn ? typedDeclarations(fn, params, level + 1, t) : [];
+      // A var section comes before the begin of the body
+      if (f.open && t.variables && t.variables.section) lines.push(...declarations.splice(0));
+      if (f.open) lines.push(indent(level) + f.open);
+      lines.push(...declarations);
+      if (fn) _scope = fn;
+      lines.push(...hoistDeclarations(node.child, level + 1, t));
+      lines.push(...block(node.child, level + 1, t, lang));
+      _declared = outer;
+      _scope = outerScope;
       if (t.rightBracket) lines.push(indent(level) + t.rightBracket + "\n");
       break;
     }
 
     case "TryCatchNode": {
+      if (t.TryCatchNode.unsupported) {
+        lines.push(indent(level) + t.TryCatchNode.unsupported);
+        lines.push(indent(level) + t.TryCatchNode.pre + "\n");
+        lines.push(...transform(node.tryChild, level + 1, t, lang));
+        lines.push(...commentLines(node.catchComment, level + 1, t));
+        lines.push(indent(level) + t.rightBracket + "\n");
+        lines.push(indent(level) + t.TryCatchNode.between + text + t.TryCatchNode.post);
+        for (const line of transform(node.catchChild, level, t, lang)) {
+          lines.push(line.replace(/^([ ]*)(?=\S)/gm, "$1" + t.comment));
+        }
+        break;
+      }
+      if (t.TryCatchNode.handler) {
+        // try ... except, with an exception handler when a type is named
+        const [type, name] = text.trim().split(/\s+/);
+        lines.push(indent(level) + t.TryCatchNode.pre);
+        lines.push(...block(node.tryChild, level + 1, t, lang));
+        lines.push(...commentLines(node.catchComment, level + 1, t));
+        lines.push(indent(level) + t.TryCatchNode.between);
+        const handled = Boolean(type && name);
+        if (handled) {
+          lines.push(
+            indent(level + 1) +
+              t.TryCatchNode.handler.replace("{name}", name).replace("{type}", type),
+          );
+        }
+        const inner = handled ? level + 2 : level + 1;
+        lines.push(...block(node.catchChild, inner, t, lang));
+        if (handled) lines.push(indent(level + 1) + t.TryCatchNode.handlerPost);
+        lines.push(indent(level) + t.TryCatchNode.post);
+        break;
+      }
+      const [type, name] = text.trim().split(/\s+/);
+      const caught = t.TryCatchNode.catchAll ||
+        (t.TryCatchNode.nameOnly ? text.trim().split(/\s+/).pop()
+          : t.TryCatchNode.named && type && name ? fill(t.TryCatchNode.named, { type, name })
+          : text);
       lines.push(
         indent(level) +
           t.TryCatchNode.pre +
           (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
       );
-      lines.push(...transform(node.tryChild, level + 1, t, lang));
+      lines.push(...block(node.tryChild, level + 1, t, lang));
+      lines.push(...commentLines(node.catchComment, t.rightBracket ? level + 1 : level, t));
       lines.push(
         indent(level) +
           (t.rightBracket ? t.rightBracket + " " : "") +
           t.TryCatchNode.between +
-          text +
+          caught +
           t.TryCatchNode.post +
           (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
       );
-      lines.push(...transform(node.catchChild, level + 1, t, lang));
+      lines.push(...block(node.catchChild, level + 1, t, lang));
       if (t.rightBracket) lines.push(indent(level) + t.rightBracket + "\n");
       break;
     }
 
     case "CaseNode": {
+      const subject = expr(text, t);
       if (t.pseudoSwitch) {
         // Python-style: use if/elif/else chain
         let first = true;
         for (const c of node.cases || []) {
           if (c.type === "InsertCase") {
             const prefix = first ? "if " : t.InsertCase.preNormal;
-            lines.push(
-              indent(level) +
-                prefix +
-                text +
-                " == " +
-                c.text +
-                t.InsertCase.post,
-            );
-            lines.push(...transform(c.followElement, level + 1, t, lang));
+            lines.push(...commentLines(c.comment, level, t));
+            lines.push(indent(level) + prefix + caseCondition(text, c.text, t) + t.InsertCase.post);
+            lines.push(...block(c.followElement, level + 1, t, lang));
             first = false;
           }
         }
         if (node.defaultOn && node.defaultNode) {
+          lines.push(...commentLines(node.defaultNode.comment, level, t));
           lines.push(
             indent(level) + t.InsertCase.preDefault + t.InsertCase.post,
           );
           lines.push(
-            ...transform(node.defaultNode.followElement, level + 1, t, lang),
+            ...block(node.defaultNode.followElement, level + 1, t, lang),
           );
         }
+      } else if (t.InsertCase.labelled) {
+        // Pascal-style: case ... of with a labelled block per value
+        lines.push(indent(level) + t.CaseNode.pre + subject + t.CaseNode.post);
+        for (const c of node.cases || []) {
+          if (c.type === "InsertCase") {
+            lines.push(...commentLines(c.comment, level + 1, t));
+            const values = caseLabels(c.text).map((value) => expr(value, t)).join(", ");
+            lines.push(indent(level + 1) + t.InsertCase.preNormal + values + t.InsertCase.post);
+            lines.push(...block(c.followElement, level + 2, t, lang));
+            lines.push(indent(level + 1) + t.InsertCase.postpost);
+          }
+        }
+        if (node.defaultOn && node.defaultNode) {
+          lines.push(...commentLines(node.defaultNode.comment, level + 1, t));
+          lines.push(indent(level + 1) + t.InsertCase.preDefault + t.InsertCase.defaultPost);
+          lines.push(...block(node.defaultNode.followElement, level + 2, t, lang));
+          lines.push(indent(level + 1) + t.InsertCase.postpost);
+        }
+        lines.push(indent(level) + t.rightBracket + "\n");
       } else {
         // C-style: switch/case
         lines.push(
           indent(level) +
             t.CaseNode.pre +
-            text +
+            subject +
             t.CaseNode.post +
             (t.leftBracket ? " " + t.leftBracket + "\n" : ""),
         );
         for (const c of node.cases || []) {
           if (c.type === "InsertCase") {
-            lines.push(
-              indent(level + 1) +
-                t.InsertCase.preNormal +
-                c.text +
-                t.InsertCase.post,
-            );
-            lines.push(...transform(c.followElement, level + 2, t, lang));
+            lines.push(...commentLines(c.comment, level + 1, t));
+            // One label per value: `case 1, 2:` is no list in C-style languages
+            for (const value of caseLabels(c.text)) {
+              lines.push(indent(level + 1) + t.InsertCase.preNormal + expr(value, t) + t.InsertCase.post);
+            }
+            lines.push(...block(c.followElement, level + 2, t, lang));
             if (t.InsertCase.postpost) {
               lines.push(indent(level + 2) + t.InsertCase.postpost);
             }
           }
         }
         if (node.defaultOn && node.defaultNode) {
+          lines.push(...commentLines(node.defaultNode.comment, level + 1, t));
           lines.push(
             indent(level + 1) + t.InsertCase.preDefault + t.InsertCase.post,
           );
           lines.push(
-            ...transform(node.defaultNode.followElement, level + 2, t, lang),
+            ...block(node.defaultNode.followElement, level + 2, t, lang),
           );
-          if (lang === "java") {
+          if (t.InsertCase.defaultBreak) {
             lines.push(indent(level + 2) + t.InsertCase.postpost);
           }
         }
@@ -281,6 +1628,7 @@ function transform(node, level, t, lang) {
     default:
       break;
   }
+  tagLines(lines, node);
 
   // Continue with followElement
   lines.push(...transform(node.followElement, level, t, lang));
@@ -0,0 +1,1379 @@
+/**
+ * Import source code into a struktog tree.
+ * Inverse of generateCode for the statements a structogram can show.
+ *
+ * Supported languages: "python", "java", "javascript", "typescript"
+ *
+ * Python constructs and the nodes they become:
+ *   if / elif / else                → BranchNode (else-if ladders nest)
+ *   while c:                        → HeadLoopNode
+ *   while True: ... if c: break     → FootLoopNode (loop until c)
+ *   for i in range(a, b, s):        → CountLoopNode with variable/from/to/step
+ *   for x in items:                 → TaskNode with the header, then the body
+ *   def f(a, b):                    → FunctionNode
+ *   try / except E as e:            → TryCatchNode
+ *   match x: / case v:              → CaseNode
+ *   x = input(...), int(input(...)) → InputNode
+ *   print(...)                      → OutputNode
+ *   f(x)                            → CallNode
+ *   return / break / continue       → ReturnNode / BreakNode / ContinueNode
+ *
+ * Java and JavaScript/TypeScript:
+ *   if / else if / else             → BranchNode
+ *   while (c) / do { } while (c);   → HeadLoopNode / FootLoopNode
+ *   for (int i = a; i <= b; i++)    → CountLoopNode with variable/from/to/step
+ *   other for (;;) loops            → initialisation + HeadLoopNode
+ *   for (x : xs) / for (x of xs)    → TaskNode with the header, then the body
+ *   n++, --n                        → n = n + 1, n = n - 1
+ *   switch / case / default         → CaseNode, falling-through cases repeat
+ *                                     the statements they run into
+ *   methods, function f(a) { }      → FunctionNode; a Java class is unwrapped
+ *                                     and the body of main() is the program
+ *   try / catch (E e)               → TryCatchNode
+ *   Scanner reads, readLine(),
+ *   prompt()                        → InputNode
+ *   System.out.println, console.log → OutputNode
+ *
+ * Any other statement becomes a TaskNode with its source text; comments
+ * and docstrings are kept as node comments. Constructs a structogram cannot
+ * show are reported as diagnostics.
+ */
+
+import { KEYWORDS_DE, formatCountLoop } from "./pseudocode-parser.js";
+import { parseExpression, formatExpression } from "./expression.js";
+
+const IMPORTERS = {
+  python: importPython,
+  java: importJava,
+  javascript: importJavaScript,
+  typescript: importJavaScript,
+};
+
+// File extensions the editor offers to import, by language
+const EXTENSIONS = {
+  py: "python",
+  java: "java",
+  js: "javascript",
+  mjs: "javascript",
+  ts: "typescript",
+};
+
+let _idCounter = 0;
+function uid() {
+  return "__import_" + (++_idCounter);
+}
+
+function makeInsert(followElement) {
+  return { id: uid(), type: "InsertNode", followElement };
+}
+
+function placeholder() {
+  return { type: "Placeholder" };
+}
+
+/** See pseudocode-parser.js: same shape, positions refer to the source code. */
+function diagnostic(pos, severity, code, message) {
+  return { line: pos.line, column: pos.column, severity, message, code };
+}
+
+/** Link nodes into an InsertNode chain; an empty list gives a placeholder. */
+function chain(nodes) {
+  if (nodes.length === 0) return makeInsert(placeholder());
+  let tail = makeInsert(null);
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    nodes[i].followElement = tail;
+    tail = makeInsert(nodes[i]);
+  }
+  return tail;
+}
+
+/** Append a comment to `node.comment`. */
+function addComment(node, comment) {
+  if (!comment) return;
+  node.comment = node.comment ? node.comment + "\n" + comment : comment;
+}
+
+/**
+ * Split `text` at every `separator` character that is outside of strings
+ * and brackets. Parts are trimmed.
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ("([{".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch)) {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+}
+
+/** The text of a single string literal without its quotes, or null. */
+function stringLiteral(text) {
+  const m = text.match(/^[rRuUbBfF]{0,2}("""|'''|"|')([\s\S]*)\1$/);
+  if (!m) return null;
+  // "a" + "b" starts and ends with a quote, but is no single literal
+  if (m[1].length === 1 && new RegExp(`(^|[^\\\\])${m[1]}`).test(m[2])) return null;
+  return m[2];
+}
+
+/* ── Python ─────────────────────────────────────────────── */
+
+const PY_COMPOUND = /^(if|elif|else|while|for|def|try|except|finally|match|case|with|class|async)\b/;
+
+/**
+ * Split Python source into logical lines: bracketed and backslash-continued
+ * lines are joined, `;` separates statements, and `#` comments are attached
+ * to the statement they precede or end.
+ * Returns [{ text, indent, line, endLine, column, comment, sameLine }], where
+ * `sameLine` marks statements following a `;` on the same line.
+ */
+function pythonLines(source) {
+  const src = source.replace(/\r\n?/g, "\n");
+  const lines = [];
+  let pending = [];
+  let text = "";
+  let trailing = null;
+  let indent = 0;
+  let start = 1;
+  let sameLine = false;
+  let depth = 0;
+  let quote = null;
+  let line = 1;
+  let lineStart = true;
+
+  const finish = (next) => {
+    const stmt = text.trim();
+    if (stmt) {
+      const comments = trailing ? [...pending, trailing] : pending;
+      lines.push({
+        text: stmt, indent, line: start, endLine: line, column: indent + 1,
+        comment: comments.length > 0 ? comments.join("\n") : undefined,
+        sameLine,
+      });
+      pending = [];
+    } else if (trailing) {
+      pending.push(trailing);
+    }
+    text = "";
+    trailing = null;
+    sameLine = next === ";";
+    start = line;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    if (lineStart) {
+      // Tabs count as four spaces, as in the pseudocode parser
+      let width = 0;
+      while (src[i] === " " || src[i] === "\t") width += src[i++] === "\t" ? 4 : 1;
+      indent = width;
+      start = line;
+      lineStart = false;
+      if (i >= src.length) break;
+    }
+    const ch = src[i];
+    if (quote) {
+      if (ch === "\n" && quote.length === 1) {
+        quote = null; // unterminated string: end it with the line
+      } else {
+        text += ch;
+        if (ch === "\\" && i + 1 < src.length) {
+          if (src[i + 1] === "\n") line++;
+          text += src[++i];
+        } else if (src.startsWith(quote, i)) {
+          text += quote.slice(1);
+          i += quote.length - 1;
+          quote = null;
+        } else if (ch === "\n") {
+          line++;
+        }
+        continue;
+      }
+    }
+    if (ch === '"' || ch === "'") {
+      quote = src.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      text += quote;
+      i += quote.length - 1;
+    } else if (ch === "#") {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      const comment = src.slice(i + 1, stop).replace(/^ /, "").trimEnd();
+      if (text.trim() === "") pending.push(comment);
+      else trailing = trailing ? trailing + "\n" + comment : comment;
+      i = stop - 1;
+    } else if (ch === "\\" && src[i + 1] === "\n") {
+      text += " ";
+      line++;
+      i++;
+    } else if (ch === "\n") {
+      if (depth > 0) {
+        // Inside brackets a newline is just whitespace
+        if (!/[\s([{]$/.test(text)) text += " ";
+        while (src[i + 1] === " " || src[i + 1] === "\t") i++;
+        line++;
+        continue;
+      }
+      finish("\n");
+      line++;
+      lineStart = true;
+    } else if (ch === ";" && depth === 0) {
+      finish(";");
+    } else {
+      if ("([{".includes(ch)) depth++;
+      if (")]}".includes(ch)) {
+        depth = Math.max(0, depth - 1);
+        text = text.trimEnd();
+      }
+      text += ch;
+    }
+  }
+  finish("\n");
+  // Comments after the last statement stay with it
+  if (pending.length > 0 && lines.length > 0) addComment(lines[lines.length - 1], pending.join("\n"));
+  return lines;
+}
+
+/** Index of the `:` ending a compound statement header, or -1. */
+function headerColon(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ("([{".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch)) {
+      depth--;
+    } else if (ch === ":" && depth === 0 && text[i + 1] !== "=") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Move the body of one-line compound statements (`if x: y = 1`) onto lines
+ * of their own, one level deeper.
+ */
+function expandOneLiners(lines) {
+  const out = [];
+  let bodyIndent = null;
+  for (const line of lines) {
+    if (line.sameLine && bodyIndent != null) {
+      out.push({ ...line, indent: bodyIndent });
+      continue;
+    }
+    bodyIndent = null;
+    const colon = PY_COMPOUND.test(line.text) ? headerColon(line.text) : -1;
+    const body = colon === -1 ? "" : line.text.slice(colon + 1).trim();
+    if (!body) {
+      out.push(line);
+      continue;
+    }
+    bodyIndent = line.indent + 1;
+    out.push({ ...line, text: line.text.slice(0, colon + 1), comment: undefined });
+    // The body may itself be a one-liner (`else: if x: y`)
+    out.push(...expandOneLiners([{ ...line, text: body, indent: bodyIndent, sameLine: false }]));
+  }
+  return out;
+}
+
+/** Group lines into blocks with the deeper-indented lines as children. */
+function groupBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i++];
+    const children = [];
+    while (i < lines.length && lines[i].indent > line.indent) children.push(lines[i++]);
+    blocks.push({ ...line, children });
+  }
+  return blocks;
+}
+
+/** Header text between the keyword and the colon: `while x > 0:` → `x > 0`. */
+function headerText(text, keyword) {
+  const colon = headerColon(text);
+  return text.slice(keyword.length, colon === -1 ? undefined : colon).trim();
+}
+
+const NEGATED_COMPARISONS = { "==": "!=", "!=": "==", "<": ">=", "<=": ">", ">": "<=", ">=": "<" };
+
+/**
+ * Negate a Python condition. A leading `not` is removed and a comparison
+ * turned around instead of adding `not`.
+ */
+function negatePython(cond) {
+  const ast = parseExpression(cond);
+  if (!ast) return "not (" + cond + ")";
+  if (ast.type === "unary" && ast.op === "not") return formatExpression(ast.operand, "python");
+  if (ast.type === "binary" && NEGATED_COMPARISONS[ast.op]) {
+    return formatExpression({ ...ast, op: NEGATED_COMPARISONS[ast.op] }, "python");
+  }
+  return formatExpression({ type: "unary", op: "not", operand: ast }, "python");
+}
+
+/** Inclusive last value of `range(..., stop, step)`. */
+function rangeEnd(stop, down) {
+  if (/^-?\d+$/.test(stop)) return String(Number(stop) + (down ? 1 : -1));
+  const m = stop.match(down ? /^(.+?)\s*-\s*1$/ : /^(.+?)\s*\+\s*1$/);
+  return m ? m[1] : stop + (down ? " + 1" : " - 1");
+}
+
+/** Parameter names of a `def`, without annotations and defaults. */
+function pythonParameters(paramStr) {
+  if (!paramStr.trim()) return [];
+  return splitTopLevel(paramStr, ",")
+    .map((p) => p.split(/[:=]/)[0].trim())
+    .filter((p) => p && p !== "/" && p !== "*")
+    .map((parName, idx) => ({ pos: String(idx * 3), parName }));
+}
+
+const PY_INPUT = /^(?:([\p{L}_][\p{L}\p{N}_.[\]]*)\s*=\s*)?(?:(?:int|float|str|eval)\s*\(\s*)?input\s*\([^]*\)\s*\)?$/u;
+const PY_PRINT = /^print\s*\(([^]*)\)$/;
+const CALL_STATEMENT = /^[\p{L}_][\p{L}\p{N}_]*\s*\([^]*\)$/u;
+
+/**
+ * Build the node chain for a list of Python blocks.
+ * @param {Array} blocks - From groupBlocks
+ * @param {Object} kw - Keyword map for node texts
+ * @param {Array} diagnostics - Collects problems
+ */
+function buildPython(blocks, kw, diagnostics) {
+  const nodes = [];
+  let docstring = null;
+  const body = (block) => buildPython(groupBlocks(block.children), kw, diagnostics);
+  const keyword = (block) => block.text.match(/^[\p{L}_]+/u)?.[0];
+  const push = (node, block) => {
+    if (docstring) addComment(node, docstring);
+    addComment(node, block.comment);
+    docstring = null;
+    nodes.push(node);
+  };
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    const text = block.text;
+    const word = keyword(block);
+    const next = () => (i + 1 < blocks.length ? blocks[i + 1] : null);
+
+    // --- if / elif / else → BranchNode ladder ---
+    if (word === "if" && headerColon(text) !== -1) {
+      const rungs = [block];
+      while (next() && keyword(next()) === "elif") rungs.push(blocks[++i]);
+      const elseBlock = next() && keyword(next()) === "else" ? blocks[++i] : null;
+      let falseChild = elseBlock ? body(elseBlock) : makeInsert(placeholder());
+      for (let r = rungs.length - 1; r >= 0; r--) {
+        const branch = {
+          id: uid(), type: "BranchNode",
+          text: headerText(rungs[r].text, r === 0 ? "if" : "elif"),
+          trueChild: body(rungs[r]),
+          falseChild,
+        };
+        if (r === 0) {
+          push(branch, rungs[r]);
+          break;
+        }
+        addComment(branch, rungs[r].comment);
+        branch.followElement = makeInsert(null);
+        falseChild = makeInsert(branch);
+      }
+      if (elseBlock) addComment(nodes[nodes.length - 1], elseBlock.comment);
+      continue;
+    }
+
+    // --- while / for → loops ---
+    if ((word === "while" || word === "for") && headerColon(text) !== -1) {
+      const header = headerText(text, word);
+      const children = groupBlocks(block.children);
+      let node;
+      const last = children[children.length - 1];
+      const exit = last && keyword(last) === "if" &&
+        last.children.length === 1 && last.children[0].text === "break";
+      if (word === "while" && /^(True|1)$/.test(header) && exit) {
+        // while True: ... if c: break — a loop that runs until c holds
+        node = {
+          id: uid(), type: "FootLoopNode",
+          text: negatePython(headerText(last.text, "if")),
+          child: buildPython(children.slice(0, -1), kw, diagnostics),
+        };
+        addComment(node, last.comment);
+      } else if (word === "while") {
+        node = { id: uid(), type: "HeadLoopNode", text: header, child: body(block) };
+      } else {
+        const range = header.match(/^([\p{L}_][\p{L}\p{N}_]*)\s+in\s+range\s*\(([^]*)\)$/u);
+        const args = range ? splitTopLevel(range[2], ",") : [];
+        if (args.length >= 1 && args.length <= 3 && args.every(Boolean)) {
+          const step = args[2] || "1";
+          const loop = {
+            variable: range[1],
+            from: args.length === 1 ? "0" : args[0],
+            to: rangeEnd(args.length === 1 ? args[0] : args[1], step.startsWith("-")),
+            step,
+          };
+          node = { id: uid(), type: "CountLoopNode", text: formatCountLoop(loop, kw), ...loop, child: body(block) };
+        }
+      }
+      if (node) {
+        push(node, block);
+      } else {
+        // for x in items: — like other unsupported blocks, its body follows it
+        diagnostics.push(diagnostic(block, "warning", "for-each",
+          "For-each loops have no structogram equivalent; kept as a statement."));
+        push({ id: uid(), type: "TaskNode", text }, block);
+        nodes.push(...flatten(body(block)));
+      }
+      if (next() && keyword(next()) === "else") {
+        const elseBlock = blocks[++i];
+        diagnostics.push(diagnostic(elseBlock, "warning", "loop-else",
+          `'else' after '${word}' has no structogram equivalent; its body follows the loop.`));
+        nodes.push(...flatten(body(elseBlock)));
+      }
+      continue;
+    }
+
+    // --- def → FunctionNode ---
+    const def = text.match(/^def\s+([\p{L}_][\p{L}\p{N}_]*)\s*\(([^]*)\)\s*(?:->[^:]*)?:$/u);
+    if (def) {
+      const children = groupBlocks(block.children);
+      const node = { id: uid(), type: "FunctionNode", text: def[1], parameters: pythonParameters(def[2]) };
+      push(node, block);
+      // A docstring describes the function itself
+      const doc = children.length > 0 ? stringLiteral(children[0].text) : null;
+      if (doc != null) {
+        addComment(node, doc.trim());
+        addComment(node, children.shift().comment);
+      }
+      node.child = buildPython(children, kw, diagnostics);
+      continue;
+    }
+
+    // --- try / except / else / finally → TryCatchNode ---
+    if (word === "try" && headerColon(text) !== -1) {
+      const handlers = [];
+      while (next() && keyword(next()) === "except") handlers.push(blocks[++i]);
+      const elseBlock = next() && keyword(next()) === "else" ? blocks[++i] : null;
+      const finallyBlock = next() && keyword(next()) === "finally" ? blocks[++i] : null;
+      const tryChild = body(block);
+      if (elseBlock) {
+        // Runs when nothing was raised: the end of the try body
+        diagnostics.push(diagnostic(elseBlock, "warning", "try-else",
+          "'else' after 'try' has no structogram equivalent; its body ends the try block."));
+        appendChain(tryChild, body(elseBlock));
+      }
+      const handler = handlers[0];
+      const caught = handler ? headerText(handler.text, "except").replace(/\s+as\s+/, " ") : "";
+      for (const extra of handlers.slice(1)) {
+        diagnostics.push(diagnostic(extra, "warning", "multiple-except",
+          "Only the first 'except' clause is kept; a structogram has a single catch block."));
+      }
+      if (!handler) {
+        diagnostics.push(diagnostic(block, "warning", "missing-except",
+          "'try' without 'except'; the catch block is left empty."));
+      }
+      const node = {
+        id: uid(), type: "TryCatchNode", text: caught,
+        tryChild,
+        catchChild: handler ? body(handler) : makeInsert(placeholder()),
+      };
+      if (handler) addComment(node, handler.comment);
+      push(node, block);
+      if (finallyBlock) {
+        diagnostics.push(diagnostic(finallyBlock, "warning", "finally",
+          "'finally' has no structogram equivalent; its body follows the try block."));
+        nodes.push(...flatten(body(finallyBlock)));
+      }
+      continue;
+    }
+
+    // --- match / case → CaseNode ---
+    if (word === "match" && headerColon(text) !== -1) {
+      const cases = [];
+      let defaultNode = null;
+      for (const cb of groupBlocks(block.children)) {
+        const label = keyword(cb) === "case" ? headerText(cb.text, "case") : null;
+        if (label == null) {
+          diagnostics.push(diagnostic(cb, "error", "invalid-case",
+            "Expected 'case ...:' inside 'match'; block ignored."));
+          continue;
+        }
+        // case 2 | 3: lists its values like grouped Java labels
+        const values = splitTopLevel(label, "|").map((value) => value.trim());
+        const insertCase = {
+          id: uid(), type: "InsertCase",
+          text: label === "_" ? kw.default : values.map((value) => stringLiteral(value) ?? value).join(", "),
+          followElement: body(cb),
+        };
+        addComment(insertCase, cb.comment);
+        if (label === "_") defaultNode = insertCase;
+        else cases.push(insertCase);
+      }
+      push({
+        id: uid(), type: "CaseNode", text: headerText(text, "match"),
+        defaultOn: Boolean(defaultNode),
+        defaultNode: defaultNode || {
+          id: uid(), type: "InsertCase", text: kw.default,
+          followElement: makeInsert(placeholder()),
+        },
+        cases,
+      }, block);
+      continue;
+    }
+
+    if (["elif", "else", "except", "finally", "case"].includes(word) && headerColon(text) !== -1) {
+      diagnostics.push(diagnostic(block, "error", "orphan-clause",
+        `'${word}' without a matching statement before it; block ignored.`));
+      continue;
+    }
+
+    // --- simple statements ---
+    if (text === "pass") continue;
+    const doc = stringLiteral(text);
+    if (doc != null) {
+      // A bare string documents the statement after it
+      docstring = docstring ? docstring + "\n" + doc.trim() : doc.trim();
+      continue;
+    }
+    if (/^(import|from)\s/.test(text)) {
+      diagnostics.push(diagnostic(block, "warning", "ignored-import",
+        "Imports have no structogram equivalent; statement ignored."));
+      continue;
+    }
+
+    let node;
+    const input = text.match(PY_INPUT);
+    const print = text.match(PY_PRINT);
+    if (input) {
+      node = { id: uid(), type: "InputNode", text: input[1] || "" };
+    } else if (print) {
+      node = { id: uid(), type: "OutputNode", text: print[1].trim() };
+    } else if (/^return\b/.test(text)) {
+      node = { id: uid(), type: "ReturnNode", text: text.slice("return".length).trim() };
+    } else if (text === "break" || text === "continue") {
+      node = { id: uid(), type: text === "break" ? "BreakNode" : "ContinueNode", text: "" };
+    } else if (CALL_STATEMENT.test(text) && splitTopLevel(text, "=").length === 1) {
+      node = { id: uid(), type: "CallNode", text };
+    } else {
+      if (PY_COMPOUND.test(text) && text.endsWith(":")) {
+        diagnostics.push(diagnostic(block, "warning", "unsupported-statement",
+          `'${word}' has no structogram equivalent; kept as a statement.`));
+      }
+      node = { id: uid(), type: "TaskNode", text };
+    }
+    push(node, block);
+    if (block.children.length > 0) {
+      // Bodies of unsupported blocks follow them as plain statements
+      if (!PY_COMPOUND.test(text)) {
+        diagnostics.push(diagnostic(block.children[0], "warning", "unexpected-indent",
+          "Unexpected indentation; treated as following statements."));
+      }
+      nodes.push(...flatten(body(block)));
+    }
+  }
+  return chain(nodes);
+}
+
+/** The nodes of an InsertNode chain, unlinked again for re-chaining. */
+function flatten(insert) {
+  const nodes = [];
+  for (let cur = insert; cur && cur.followElement; cur = cur.followElement.followElement) {
+    if (cur.followElement.type !== "Placeholder") nodes.push(cur.followElement);
+  }
+  return nodes;
+}
+
+/** Append the chain `more` to the end of the chain `insert`. */
+function appendChain(insert, more) {
+  const nodes = [...flatten(insert), ...flatten(more)];
+  const rebuilt = chain(nodes);
+  insert.followElement = rebuilt.followElement;
+}
+
+function importPython(source, kw, diagnostics) {
+  const lines = expandOneLiners(pythonLines(source));
+  if (lines.length === 0) return makeInsert(placeholder());
+  return buildPython(groupBlocks(lines), kw, diagnostics);
+}
+
+/* ── Java / JavaScript ──────────────────────────────────── */
+
+const PUNCTUATION = /(?:>>>=|\.\.\.|===|!==|\*\*=|<<=|>>=|>>>|&&|\|\||\?\?|\?\.|\+\+|--|->|=>|[+\-*/%&|^!=<>]=|<<|>>|\*\*|[^\s\w])/y;
+const CONTROL_WORDS = new Set([
+  "if", "else", "while", "do", "for", "switch", "case", "default", "try", "catch",
+  "finally", "return", "break", "continue", "throw", "new", "class", "interface",
+  "enum", "import", "package", "export", "yield", "await", "delete", "typeof",
+]);
+const COUNTER_TYPES = /^(?:(?:int|long|short|byte|let|var)\s+)?([\p{L}_$][\p{L}\p{N}_$]*)\s*=\s*(.+)$/u;
+
+/**
+ * Split brace-language source into tokens { type, value, start, end, line,
+ * column }. Comments are attached to the token after them as `comments`,
+ * or to the token they follow on the same line as `trailing`.
+ */
+function braceTokens(src) {
+  const tokens = [];
+  let pending = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+  const advance = (to) => {
+    for (let j = i; j < to; j++) {
+      if (src[j] === "\n") {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = to;
+  };
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      advance(i + 1);
+      continue;
+    }
+    const startLine = line;
+    const column = i - lineStart + 1;
+    if (src.startsWith("//", i) || src.startsWith("/*", i)) {
+      const block = src[i + 1] === "*";
+      const end = block ? src.indexOf("*/", i + 2) : src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end + (block ? 2 : 0);
+      const text = block
+        ? src.slice(i + 2, stop - 2).split("\n").map((l) => l.replace(/^\s*\*? ?/, "").trimEnd())
+          .join("\n").trim()
+        : src.slice(i + 2, stop).replace(/^ /, "").trimEnd();
+      const prev = tokens[tokens.length - 1];
+      if (prev && prev.line === startLine) addComment(prev, text);
+      else pending.push(text);
+      advance(stop);
+      continue;
+    }
+    let end;
+    let type;
+    if (ch === '"' || ch === "'" || ch === "`") {
+      end = i + 1;
+      while (end < src.length && src[end] !== ch && (ch === "`" || src[end] !== "\n")) {
+        end += src[end] === "\\" ? 2 : 1;
+      }
+      end = Math.min(end + 1, src.length);
+      type = "str";
+    } else if (/[\p{L}_$]/u.test(ch)) {
+      end = i + src.slice(i).match(/^[\p{L}\p{N}_$]+/u)[0].length;
+      type = "id";
+    } else if (/\d/.test(ch) || (ch === "." && /\d/.test(src[i + 1]))) {
+      end = i + src.slice(i).match(/^[\d.]+(?:[eE][+-]?\d+)?[\w]*/)[0].length;
+      type = "num";
+    } else {
+      PUNCTUATION.lastIndex = i;
+      end = i + PUNCTUATION.exec(src)[0].length;
+      type = "punct";
+    }
+    const token = { type, value: src.slice(i, end), start: i, end, line: startLine, column };
+    if (pending.length > 0) token.comments = pending;
+    pending = [];
+    tokens.push(token);
+    advance(end);
+  }
+  // Comments after the last token stay with it
+  if (pending.length > 0 && tokens.length > 0) addComment(tokens[tokens.length - 1], pending.join("\n"));
+  return tokens;
+}
+
+/** Whether a case ends with this node instead of running into the next. */
+function exitsCase(node) {
+  return ["BreakNode", "ReturnNode", "ContinueNode"].includes(node.type) ||
+    (node.type === "TaskNode" && /^throw\b/.test(node.text));
+}
+
+/**
+ * Recursive-descent parser from brace-language tokens to struktog nodes.
+ * Java and JavaScript share it; `lang` selects the input/output patterns.
+ */
+class BraceParser {
+  constructor(src, lang, kw, diagnostics) {
+    this.src = src;
+    this.lang = lang;
+    this.kw = kw;
+    this.diagnostics = diagnostics;
+    this.tokens = braceTokens(src);
+    this.pos = 0;
+    this.claimed = new Set(); // tokens whose trailing comment went to a node
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token) && token.value === value && token.type !== "str";
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(value) {
+    if (this.is(value)) return this.next();
+    const token = this.peek() || this.tokens[this.tokens.length - 1];
+    this.warn(token, "error", "syntax", `Expected '${value}'.`);
+    return null;
+  }
+
+  warn(token, severity, code, message) {
+    if (token) this.diagnostics.push(diagnostic(token, severity, code, message));
+  }
+
+  /** Index of the token closing the bracket at `index`. */
+  closing(index) {
+    let depth = 0;
+    for (let j = index; j < this.tokens.length; j++) {
+      const v = this.tokens[j].type === "punct" ? this.tokens[j].value : "";
+      if ("([{".includes(v) && v) depth++;
+      else if (")]}".includes(v) && v && --depth === 0) return j;
+    }
+    return this.tokens.length - 1;
+  }
+
+  /** Source text of tokens from..to (inclusive), on a single line. */
+  text(from, to) {
+    let out = "";
+    for (let j = from; j <= to && j < this.tokens.length; j++) {
+      const token = this.tokens[j];
+      if (j > from) {
+        const gap = this.src.slice(this.tokens[j - 1].end, token.start);
+        out += /\n|\/[/*]/.test(gap) ? " " : gap;
+      }
+      out += token.value;
+    }
+    return out.trim();
+  }
+
+  /** Text between the parenthesis at the cursor and its partner. */
+  parenthesized() {
+    if (!this.is("(")) {
+      this.expect("(");
+      return "";
+    }
+    const open = this.pos;
+    const close = this.closing(open);
+    this.pos = close + 1;
+    return this.text(open + 1, close - 1);
+  }
+
+  /** Index where the statement starting at the cursor ends (its `;` or last token). */
+  statementEnd() {
+    let depth = 0;
+    for (let j = this.pos; j < this.tokens.length; j++) {
+      const token = this.tokens[j];
+      const v = token.type === "punct" ? token.value : "";
+      if (v === "(" || v === "[" || v === "{") depth++;
+      else if (v === ")" || v === "]" || v === "}") {
+        if (depth === 0) return j - 1;
+        depth--;
+        if (depth === 0 && this.lang === "javascript" && this.asiBreak(j)) return j;
+      } else if (v === ";" && depth === 0) {
+        return j;
+      } else if (depth === 0 && this.lang === "javascript" && this.asiBreak(j)) {
+        return j;
+      }
+    }
+    return this.tokens.length - 1;
+  }
+
+  /** Whether JavaScript inserts a semicolon after token `j`. */
+  asiBreak(j) {
+    const token = this.tokens[j];
+    const after = this.tokens[j + 1];
+    if (!after || after.line === token.line) return false;
+    const ends = token.type !== "punct" || [")", "]", "}", "++", "--"].includes(token.value);
+    return ends && after.type !== "punct" && !["instanceof", "in", "of"].includes(after.value);
+  }
+
+  /** Statements until the closing `}` (or the end of input). */
+  block() {
+    const nodes = [];
+    while (this.pos < this.tokens.length && !this.is("}")) {
+      const before = this.pos;
+      nodes.push(...this.statement());
+      if (this.pos === before) this.pos++;
+    }
+    // Comments before the closing brace stay with the last statement
+    const close = this.peek();
+    if (close && close.comments && nodes.length > 0) addComment(nodes[nodes.length - 1], close.comments.join("\n"));
+    return nodes;
+  }
+
+  /** A statement or a `{ ... }` block, as a node chain. */
+  body() {
+    if (this.is("{")) {
+      this.next();
+      const nodes = this.block();
+      this.expect("}");
+      return chain(nodes);
+    }
+    return chain(this.statement());
+  }
+
+  /** Parse one statement; returns the nodes it becomes (possibly none). */
+  statement() {
+    const first = this.peek();
+    if (!first) return [];
+    const start = this.pos;
+    const nodes = this.statementNodes(first);
+    if (nodes.length === 0) return nodes;
+    // Comments above the statement, at the end of its first line and after its end
+    const comments = [...(first.comments || [])];
+    for (let j = start; j < this.pos; j++) {
+      const token = this.tokens[j];
+      if ((token.line === first.line || j === this.pos - 1) && token.comment && !this.claimed.has(j)) {
+        this.claimed.add(j);
+        comments.push(token.comment);
+      }
+    }
+    if (nodes[0].comment) comments.push(nodes[0].comment);
+    if (comments.length > 0) nodes[0].comment = comments.join("\n");
+    return nodes;
+  }
+
+  statementNodes(first) {
+    const word = first.type === "id" ? first.value : null;
+    if (this.is("{")) {
+      this.next();
+      const nodes = this.block();
+      this.expect("}");
+      return nodes;
+    }
+    if (this.is(";")) {
+      this.next();
+      return [];
+    }
+
+    // --- if / else → BranchNode ---
+    if (word === "if") {
+      this.next();
+      const node = { id: uid(), type: "BranchNode", text: this.parenthesized(), trueChild: this.body() };
+      if (this.is("else")) {
+        addComment(node, (this.peek().comments || []).join("\n"));
+        this.next();
+        node.falseChild = this.body();
+      } else {
+        node.falseChild = makeInsert(placeholder());
+      }
+      return [node];
+    }
+
+    // --- while / do-while → HeadLoopNode / FootLoopNode ---
+    if (word === "while") {
+      this.next();
+      return [{ id: uid(), type: "HeadLoopNode", text: this.parenthesized(), child: this.body() }];
+    }
+    if (word === "do") {
+      this.next();
+      const child = this.body();
+      this.expect("while");
+      const node = { id: uid(), type: "FootLoopNode", text: this.parenthesized(), child };
+      if (this.is(";")) this.next();
+      return [node];
+    }
+
+    if (word === "for") return this.forLoop(first);
+    if (word === "switch") return this.switchStatement(first);
+    if (word === "try") return this.tryStatement(first);
+
+    // --- return / break / continue ---
+    if (word === "return" || word === "break" || word === "continue") {
+      this.next();
+      let value = "";
+      if (!this.is(";") && !this.is("}")) {
+        const end = this.statementEnd();
+        const semicolon = this.tokens[end].value === ";";
+        value = this.text(this.pos, semicolon ? end - 1 : end);
+        this.pos = semicolon ? end : end + 1;
+      }
+      if (this.is(";")) this.next();
+      if (word === "return") return [{ id: uid(), type: "ReturnNode", text: value }];
+      if (value) {
+        this.warn(first, "warning", "labelled-jump", `Labels have no structogram equivalent; '${word} ${value}' ends the innermost loop.`);
+      }
+      return [{ id: uid(), type: word === "break" ? "BreakNode" : "ContinueNode", text: "" }];
+    }
+
+    if (word === "import" || word === "package") {
+      this.pos = this.statementEnd() + 1;
+      this.warn(first, "warning", "ignored-import", "Imports have no structogram equivalent; statement ignored.");
+      return [];
+    }
+
+    if (word === "class" || (word && this.classAhead())) return this.classDeclaration(first);
+
+    const method = this.methodAhead();
+    if (method) return this.method(first, method);
+
+    // Labelled loop: `outer: for (...)`
+    if (first.type === "id" && this.is(":", 1) && ["for", "while", "do"].includes(this.peek(2)?.value)) {
+      this.warn(first, "warning", "label", "Labels have no structogram equivalent; label ignored.");
+      this.pos += 2;
+      return this.statement();
+    }
+
+    return this.simpleStatement(first);
+  }
+
+  /** Whether modifiers and `class` follow: `public final class Main {`. */
+  classAhead() {
+    for (let j = this.pos; j < this.tokens.length && this.tokens[j].type === "id"; j++) {
+      if (this.tokens[j].value === "class") return true;
+    }
+    return false;
+  }
+
+  /**
+   * Detect a function or method declaration at the cursor:
+   * `function f(a) {`, `public static int f(int a) throws E {`, `f(a) {`
+   * inside a class. Returns { name, open, close, body } token indices or null.
+   */
+  methodAhead(inClass = false) {
+    let j = this.pos;
+    const words = [];
+    while (j < this.tokens.length) {
+      const token = this.tokens[j];
+      if (token.type === "id") words.push(token.value);
+      else if (!["<", ">", "[", "]", ",", "?"].includes(token.value) && !(token.value === "*" && words[0] === "function")) break;
+      j++;
+    }
+    if (!this.tokens[j] || this.tokens[j].value !== "(" || words.length === 0) return null;
+    if (words.length < (inClass ? 1 : 2) || CONTROL_WORDS.has(words[0])) return null;
+    const close = this.closing(j);
+    let k = close + 1;
+    // A return type annotation or throws clause may precede the body
+    if (this.tokens[k] && (this.tokens[k].value === ":" || this.tokens[k].value === "throws")) {
+      k++;
+      while (k < this.tokens.length && (this.tokens[k].type === "id" ||
+        [",", ".", "<", ">", "[", "]", "|", "?"].includes(this.tokens[k].value))) k++;
+    }
+    if (!this.tokens[k] || this.tokens[k].value !== "{") return null;
+    return { name: this.tokens[j - 1].value, open: j, close, body: k };
+  }
+
+  /** Parameter names, without types, annotations and defaults. */
+  parameters(open, close) {
+    const inner = this.text(open + 1, close - 1);
+    if (!inner) return [];
+    return splitTopLevel(inner, ",")
+      .map((p) => p.split(/[=:]/)[0].trim())
+      .map((p) => (p.match(/[\p{L}_$][\p{L}\p{N}_$]*(?=\W*$)/u) || [p])[0])
+      .filter(Boolean)
+      .map((parName, idx) => ({ pos: String(idx * 3), parName }));
+  }
+
+  method(first, method, inClass = false) {
+    this.pos = method.body + 1;
+    const nodes = this.block();
+    this.expect("}");
+    // The entry point of a Java program is the program itself
+    if (inClass && method.name === "main") return nodes;
+    return [{
+      id: uid(), type: "FunctionNode", text: method.name,
+      parameters: this.parameters(method.open, method.close),
+      child: chain(nodes),
+    }];
+  }
+
+  /** Classes are unwrapped: methods become functions, fields statements. */
+  classDeclaration(first) {
+    while (this.pos < this.tokens.length && !this.is("{")) this.next();
+    this.expect("{");
+    const nodes = [];
+    let hasMain = false;
+    while (this.pos < this.tokens.length && !this.is("}")) {
+      const member = this.peek();
+      const before = this.pos;
+      const method = this.methodAhead(true);
+      if (method) {
+        hasMain = hasMain || method.name === "main";
+        const memberNodes = this.method(member, method, true);
+        if (memberNodes.length > 0 && member.comments) addComment(memberNodes[0], member.comments.join("\n"));
+        nodes.push(...memberNodes);
+      } else {
+        nodes.push(...this.statement());
+      }
+      if (this.pos === before) this.pos++;
+    }
+    this.expect("}");
+    if (!hasMain) {
+      this.warn(first, "warning", "class", "Classes have no structogram equivalent; their members are imported one by one.");
+    }
+    return nodes;
+  }
+
+  /** Classic `for (init; cond; update)` and for-each loops. */
+  forLoop(first) {
+    this.next();
+    if (!this.is("(")) return [];
+    const open = this.pos;
+    const close = this.closing(open);
+    const header = this.text(open + 1, close - 1);
+    this.pos = close + 1;
+    const child = this.body();
+    const parts = splitTopLevel(header, ";");
+    if (parts.length !== 3) {
+      // for (x : xs) / for (const x of xs) — like other unsupported blocks, its body follows it
+      this.warn(first, "warning", "for-each",
+        "For-each loops have no structogram equivalent; kept as a statement.");
+      return [{ id: uid(), type: "TaskNode", text: "for (" + header + ")" }, ...flatten(child)];
+    }
+    const [init, cond, update] = parts;
+    const loop = this.countLoop(init, cond, update);
+    if (loop) {
+      return [{ id: uid(), type: "CountLoopNode", text: formatCountLoop(loop, this.kw), ...loop, child }];
+    }
+    // Anything else is a while loop with the update at the end of its body
+    this.warn(first, "warning", "for-loop",
+      "Loop does not count a single variable; imported as a while loop.");
+    const nodes = [];
+    if (init) nodes.push({ id: uid(), type: "TaskNode", text: init });
+    const steps = splitTopLevel(update, ",").map((part) => this.simpleNode(part.trim(), first)).filter(Boolean);
+    if (steps.length > 0) appendChain(child, chain(steps));
+    nodes.push({ id: uid(), type: "HeadLoopNode", text: cond || "true", child });
+    return nodes;
+  }
+
+  /** Fields of `for (int i = a; i <= b; i++)`, or null for other loops. */
+  countLoop(init, cond, update) {
+    const start = init.match(COUNTER_TYPES);
+    if (!start) return null;
+    const variable = start[1];
+    const v = escapeRegex(variable);
+    const test = cond.match(new RegExp(`^${v}\\s*(<=|<|>=|>)\\s*(.+)$`, "u"));
+    if (!test) return null;
+    let step = null;
+    let m;
+    if (new RegExp(`^(?:${v}\\s*\\+\\+|\\+\\+\\s*${v})$`, "u").test(update)) step = "1";
+    else if (new RegExp(`^(?:${v}\\s*--|--\\s*${v})$`, "u").test(update)) step = "-1";
+    else if ((m = update.match(new RegExp(`^${v}\\s*([+-])=\\s*(.+)$`, "u")))) step = (m[1] === "-" ? "-" : "") + m[2].trim();
+    else if ((m = update.match(new RegExp(`^${v}\\s*=\\s*${v}\\s*([+-])\\s*(.+)$`, "u")))) step = (m[1] === "-" ? "-" : "") + m[2].trim();
+    if (!step || /^-?-?0$|^--/.test(step)) return null;
+    const down = step.startsWith("-");
+    const op = test[1];
+    if (down !== op.startsWith(">")) return null;
+    const bound = test[2].trim();
+    return {
+      variable,
+      from: start[2].trim(),
+      to: op.length === 1 ? rangeEnd(bound, down) : bound,
+      step,
+    };
+  }
+
+  /**
+   * `switch` → CaseNode. Labels without statements share the next case; a
+   * case that falls through also gets the statements of the cases it runs
+   * into, so each case reads on its own.
+   */
+  switchStatement(first) {
+    this.next();
+    const subject = this.parenthesized();
+    if (!this.expect("{")) return [];
+    // First pass: find the labels and the token range of each case body
+    const claimed = new Set(this.claimed);
+    const mark = this.diagnostics.length;
+    const groups = [];
+    let current = null;
+    while (this.pos < this.tokens.length && !this.is("}")) {
+      const token = this.peek();
+      if (this.is("case") || this.is("default")) {
+        const isDefault = this.is("default");
+        this.next();
+        const labelStart = this.pos;
+        while (this.pos < this.tokens.length && !this.is(":") && !this.is("->")) this.next();
+        const label = isDefault ? null : this.text(labelStart, this.pos - 1);
+        const arrow = this.is("->");
+        this.next();
+        if (!current || current.from !== undefined) {
+          current = { labels: [], isDefault: false, token };
+          groups.push(current);
+        }
+        if (label != null) current.labels.push(...splitTopLevel(label, ","));
+        current.isDefault = current.isDefault || isDefault;
+        if (arrow) {
+          // case x -> statement never falls through
+          current.from = this.pos;
+          this.statement();
+          current.to = this.pos;
+          current.arrow = true;
+          current = null;
+        }
+        continue;
+      }
+      if (!current) {
+        this.warn(token, "error", "invalid-case", "Expected 'case' or 'default' inside 'switch'; statement ignored.");
+        this.statement();
+        continue;
+      }
+      if (current.from === undefined) current.from = this.pos;
+      const before = this.pos;
+      this.statement();
+      if (this.pos === before) this.pos++;
+      current.to = this.pos;
+    }
+    this.diagnostics.length = mark;
+    this.expect("}");
+    const end = this.pos;
+
+    // Second pass: build each case from its own statements and those it falls into
+    const cases = [];
+    let defaultNode = null;
+    groups.forEach((group, index) => {
+      this.claimed = new Set(claimed);
+      const nodes = [];
+      for (let g = index; g < groups.length; g++) {
+        const copyMark = this.diagnostics.length;
+        if (groups[g].from !== undefined) nodes.push(...this.statements(groups[g].from, groups[g].to));
+        // Repeated statements were reported with their own case already
+        if (g > index) this.diagnostics.length = copyMark;
+        const last = nodes[nodes.length - 1];
+        if (groups[g].arrow || (last && exitsCase(last)) || g + 1 === groups.length) break;
+        if (g === index) {
+          this.warn(group.token, "warning", "fall-through",
+            "Case falls through; the statements of the following case are repeated in it.");
+        }
+      }
+      if (nodes.length > 0 && nodes[nodes.length - 1].type === "BreakNode") nodes.pop();
+      const insertCase = {
+        id: uid(), type: "InsertCase",
+        text: group.isDefault ? this.kw.default : group.labels.map((l) => stringLiteral(l) ?? l).join(", "),
+        followElement: chain(nodes),
+      };
+      if (group.token.comments) addComment(insertCase, group.token.comments.join("\n"));
+      if (group.isDefault) defaultNode = insertCase;
+      else cases.push(insertCase);
+    });
+    this.pos = end;
+    return [{
+      id: uid(), type: "CaseNode", text: subject,
+      defaultOn: Boolean(defaultNode),
+      defaultNode: defaultNode || {
+        id: uid(), type: "InsertCase", text: this.kw.default,
+        followElement: makeInsert(placeholder()),
+      },
+      cases,
+    }];
+  }
+
+  /** Parse the statements between two token indices. */
+  statements(from, to) {
+    const nodes = [];
+    this.pos = from;
+    while (this.pos < to) {
+      const before = this.pos;
+      nodes.push(...this.statement());
+      if (this.pos === before) this.pos++;
+    }
+    return nodes;
+  }
+
+  /** try / catch / finally → TryCatchNode. */
+  tryStatement(first) {
+    this.next();
+    if (this.is("(")) {
+      this.warn(first, "warning", "try-resources", "Resources of 'try (...)' are ignored.");
+      this.parenthesized();
+    }
+    const tryChild = this.body();
+    const handlers = [];
+    while (this.is("catch")) {
+      const token = this.next();
+      const caught = this.is("(") ? this.parenthesized() : "";
+      handlers.push({ token, caught, child: this.body() });
+    }
+    const node = {
+      id: uid(), type: "TryCatchNode",
+      text: handlers.length > 0 ? handlers[0].caught.replace(/\s*:.*$/, "") : "",
+      tryChild,
+      catchChild: handlers.length > 0 ? handlers[0].child : makeInsert(placeholder()),
+    };
+    for (const extra of handlers.slice(1)) {
+      this.warn(extra.token, "warning", "multiple-catch",
+        "Only the first 'catch' clause is kept; a structogram has a single catch block.");
+    }
+    if (handlers.length === 0) {
+      this.warn(first, "warning", "missing-catch", "'try' without 'catch'; the catch block is left empty.");
+    }
+    const nodes = [node];
+    if (this.is("finally")) {
+      this.warn(this.next(), "warning", "finally",
+        "'finally' has no structogram equivalent; its body follows the try block.");
+      nodes.push(...flatten(this.body()));
+    }
+    return nodes;
+  }
+
+  /** Expression statements and declarations. */
+  simpleStatement(first) {
+    const end = this.statementEnd();
+    const text = this.text(this.pos, this.tokens[end].value === ";" ? end - 1 : end);
+    this.pos = end + 1;
+    const node = this.simpleNode(text, first);
+    return node ? [node] : [];
+  }
+
+  simpleNode(text, first) {
+    if (this.lang === "javascript") {
+      // Generated JavaScript declares variables itself (TypeScript) or not at all
+      const declaration = text.match(/^(?:let|const|var)\s+([^]*)$/);
+      if (declaration && !/=/.test(declaration[1])) return null;
+      if (declaration) text = declaration[1].replace(/^([\p{L}_$][\p{L}\p{N}_$]*)\s*:[^=]+?(?=\s*=)/u, "$1");
+    }
+    if (!text) return null;
+    const io = this.lang === "java" ? JAVA_IO : JS_IO;
+    if (io.setup.test(text)) return null;
+    if (this.lang === "java" && JAVA_DECLARATION.test(text) && !/^(?:return|throw|new)\b/.test(text)) {
+      // int s = 0, t = 1 → s = 0 and t = 1; declarations without a value are left out
+      const declarators = splitTopLevel(text.replace(JAVA_DECLARATION, ""), ",")
+        .filter((part) => /=/.test(part))
+        .map((part) => part.replace(/^([\p{L}_$][\p{L}\p{N}_$]*)\s*=\s*/u, "$1 = ").replace(JAVA_ARRAY, "= [$1]"));
+      if (declarators.length === 0) return null;
+      text = declarators.join("\n");
+    }
+    // n++ / --n → n = n + 1 / n = n - 1
+    const increment = text.match(INCREMENT);
+    if (increment) {
+      const name = increment[1] || increment[4];
+      return { id: uid(), type: "TaskNode", text: `${name} = ${name} ${(increment[2] || increment[3])[0]} 1` };
+    }
+    const input = text.match(io.input);
+    if (input) return { id: uid(), type: "InputNode", text: input[1] || "" };
+    const output = text.match(io.output);
+    if (output) return { id: uid(), type: "OutputNode", text: output[1].trim() };
+    if (CALL_STATEMENT.test(text) && splitTopLevel(text, "=").length === 1) {
+      return { id: uid(), type: "CallNode", text };
+    }
+    if (/^throw\b/.test(text)) {
+      this.warn(first, "warning", "unsupported-statement", "'throw' has no structogram equivalent; kept as a statement.");
+    } else if (/\{/.test(text.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`/g, ""))) {
+      this.warn(first, "warning", "unsupported-statement",
+        "Statement contains a code block without a structogram equivalent; kept as a statement.");
+    }
+    return { id: uid(), type: "TaskNode", text };
+  }
+}
+
+// A statement that only increments or decrements a variable
+const INCREMENT = /^(?:([\p{L}_$][\p{L}\p{N}_$]*)\s*(\+\+|--)|(\+\+|--)\s*([\p{L}_$][\p{L}\p{N}_$]*))$/u;
+
+// The type of a Java declaration: `int`, `final String`, `int[]`, `List<Integer>` …
+const JAVA_DECLARATION =
+  /^(?:final\s+)?[\p{L}_$][\p{L}\p{N}_$.]*(?:\s*<[^=]*>)?(?:\s*\[\s*\])*\s+(?=[\p{L}_$][\p{L}\p{N}_$]*\s*(?:=|,|$))/u;
+// An array initializer: {1, 2} or new int[] {1, 2}
+const JAVA_ARRAY = /=\s*(?:new\s+[\w.<>]+\s*\[\s*\]\s*)?\{([^]*)\}$/;
+
+const JAVA_IO = {
+  // `Scanner sc = new Scanner(System.in)` only prepares input statements
+  setup: /^(?:(?:final|static|private)\s+)*(?:java\.util\.)?Scanner\s+\w+\s*=\s*new\s+(?:java\.util\.)?Scanner\s*\(\s*System\.in\s*\)$/,
+  input: /^(?:(?:final\s+)?[\w<>[\]]+\s+)?([\p{L}_$][\p{L}\p{N}_$.[\]]*)\s*=\s*(?:[\w.]+\.parse\w+\s*\(\s*)?(?:[\w.]+\.next\w*\s*\(\s*\)|System\.console\(\)\.readLine\s*\([^]*?\)|[\w.]*reader\.readLine\s*\(\s*\))\s*\)?$/iu,
+  output: /^System\.out\.print(?:ln|f)?\s*\(([^]*)\)$/,
+};
+
+const JS_IO = {
+  setup: /^(?!)/,
+  input: /^(?:(?:let|const|var)\s+)?([\p{L}_$][\p{L}\p{N}_$.[\]]*)(?:\s*:\s*\w+)?\s*=\s*(?:(?:Number|parseInt|parseFloat|String)\s*\(\s*)?prompt\s*\([^]*?\)\s*(?:,\s*\d+\s*)?\)?$/u,
+  output: /^console\.(?:log|info)\s*\(([^]*)\)$/,
+};
+
+/** Escape special regex characters in a string. */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function importJava(source, kw, diagnostics) {
+  return importBraces(source, "java", kw, diagnostics);
+}
+
+function importJavaScript(source, kw, diagnostics) {
+  return importBraces(source, "javascript", kw, diagnostics);
+}
+
+function importBraces(source, lang, kw, diagnostics) {
+  const parser = new BraceParser(source, lang, kw, diagnostics);
+  const nodes = [];
+  while (parser.pos < parser.tokens.length) {
+    const before = parser.pos;
+    nodes.push(...parser.block());
+    if (parser.is("}")) {
+      parser.warn(parser.next(), "error", "unmatched-brace", "Unmatched '}'; ignored.");
+    }
+    if (parser.pos === before) parser.pos++;
+  }
+  return chain(nodes);
+}
+
+/* ── Public API ─────────────────────────────────────────── */
+
+/**
+ * Convert source code to a struktog tree.
+ * @param {string} source - Program text
+ * @param {string} [lang="python"] - Source language
+ * @param {Object} [options]
+ * @param {Object} [options.keywords=KEYWORDS_DE] - Keyword map for texts the
+ *   importer writes, such as count loop headers and the default case
+ * @returns {Object} A struktog tree rooted at an InsertNode
+ */
+export function codeToTree(source, lang = "python", options = {}) {
+  return codeToTreeWithDiagnostics(source, lang, options).tree;
+}
+
+/**
+ * Convert source code to a struktog tree and report what could not be
+ * mapped to a structogram, sorted by position.
+ * @param {string} source - Program text
+ * @param {string} [lang="python"] - Source language
+ * @param {Object} [options] - See codeToTree
+ * @returns {{tree: Object, diagnostics: Array<{line: number, column: number, severity: "error"|"warning", message: string, code: string}>}}
+ */
+export function codeToTreeWithDiagnostics(source, lang = "python", options = {}) {
+  const importer = IMPORTERS[String(lang).toLowerCase()];
+  if (!importer) {
+    throw new Error(
+      `Unsupported language: ${lang}. Supported: ${Object.keys(IMPORTERS).join(", ")}`,
+    );
+  }
+  _idCounter = 0;
+  const keywords = { ...KEYWORDS_DE, ...options.keywords };
+  const diagnostics = [];
+  const tree = importer(String(source || ""), keywords, diagnostics);
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { tree, diagnostics };
+}
+
+/**
+ * The import language for a file name, judged by its extension.
+ * @param {string} filename
+ * @returns {string|null} e.g. "python" for "sort.py"
+ */
+export function importLanguageForFile(filename) {
+  const ext = String(filename).split(".").pop().toLowerCase();
+  return EXTENSIONS[ext] || null;
+}
+
+/** @returns {string[]} File extensions codeToTree can import, with dot */
+export function importExtensions() {
+  return Object.keys(EXTENSIONS).map((ext) => "." + ext);
+}
@@ -0,0 +1,464 @@
+/**
+ * Expression language for node texts.
+ *
+ * Conditions and statements in a structogram are written in a small,
+ * language-neutral notation. This module parses them into an AST and writes
+ * the AST back in the syntax of a code generation target:
+ *
+ *   x ≠ 0 und y ≤ 5        → Python: x != 0 and y <= 5    Java: x != 0 && y <= 5
+ *   nicht fertig            → Python: not fertig           Java: !fertig
+ *   a ← b + 1   /   a := 3  → Python: a = b + 1            Pascal: a := b + 1
+ *   gefunden = Wahr         → Python: gefunden = True      C: gefunden = 1
+ *   a ← [1, 2, 3]           → Python: a = [1, 2, 3]        Java: a = new int[] {1, 2, 3}
+ *
+ * Logical operators and the boolean literals come from the keyword maps
+ * (`and`, `or`, `not`, `true`, `false`), case-insensitively. The symbols
+ * `&&`, `||`, `!`, `≠`, `<>`, `≤`, `≥`, `×`, `·` and `÷` are accepted too.
+ * In a condition a single `=` compares; in a statement it assigns.
+ *
+ * Text that is not a valid expression (e.g. `i in liste` or `x++`) makes
+ * parseExpression return null, and callers keep the text verbatim.
+ */
+
+import { KEYWORDS_DE, KEYWORDS_EN } from "./pseudocode-parser.js";
+
+const SYMBOLS = {
+  "≠": "!=", "<>": "!=", "≤": "<=", "≥": ">=",
+  "×": "*", "·": "*", "÷": "/",
+  "←": ":=", "&&": "and", "||": "or", "!": "not",
+};
+
+const TOKEN =
+  /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([\p{L}_][\p{L}\p{N}_]*)|(:=|==|!=|<>|<=|>=|&&|\|\||[←≠≤≥×·÷<>=+\-*/%!(),.[\]]))/uy;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN.lastIndex))) break;
+    const m = TOKEN.exec(text);
+    if (!m) return null;
+    if (m[1]) tokens.push({ type: "number", value: m[1] });
+    else if (m[2]) tokens.push({ type: "string", value: m[2] });
+    else if (m[3]) tokens.push({ type: "word", value: m[3] });
+    else tokens.push({ type: "op", value: SYMBOLS[m[4]] || m[4] });
+  }
+  return tokens;
+}
+
+/** Lower-cased operator and literal words of the given keyword maps. */
+function wordsOf(keywordMaps) {
+  const words = { and: new Set(), or: new Set(), not: new Set(), true: new Set(), false: new Set() };
+  for (const kw of keywordMaps) {
+    for (const key of Object.keys(words)) {
+      if (kw[key]) words[key].add(kw[key].toLowerCase());
+    }
+  }
+  return words;
+}
+
+const COMPARISONS = new Set(["==", "!=", "<", "<=", ">", ">="]);
+
+class Parser {
+  constructor(tokens, words, statement) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.words = words;
+    this.statement = statement;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isOp(value, offset = 0) {
+    const tok = this.peek(offset);
+    return Boolean(tok) && tok.type === "op" && tok.value === value;
+  }
+
+  /** Whether the token is one of the operator words `and`, `or` or `not`. */
+  isWord(kind, offset = 0) {
+    const tok = this.peek(offset);
+    if (!tok) return false;
+    if (tok.type === "op") return tok.value === kind;
+    return tok.type === "word" && this.words[kind].has(tok.value.toLowerCase());
+  }
+
+  expect(value) {
+    if (!this.isOp(value)) throw new SyntaxError(`Expected '${value}'`);
+    this.pos++;
+  }
+
+  parse() {
+    let node;
+    if (this.statement) {
+      // `target = value`, `target := value` or `target ← value`
+      const start = this.pos;
+      const target = this.parsePostfix();
+      if ((this.isOp("=") || this.isOp(":=")) && isAssignable(target)) {
+        this.pos++;
+        node = { type: "assign", target, value: this.parseOr() };
+      } else {
+        this.pos = start;
+      }
+    }
+    if (!node) node = this.parseOr();
+    if (this.pos < this.tokens.length) throw new SyntaxError("Unexpected token");
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isWord("or")) {
+      this.pos++;
+      left = { type: "binary", op: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isWord("and")) {
+      this.pos++;
+      left = { type: "binary", op: "and", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    // `not` followed by something that cannot continue it is a plain name
+    if (this.isWord("not") && startsOperand(this.peek(1))) {
+      this.pos++;
+      return { type: "unary", op: "not", operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    for (;;) {
+      const tok = this.peek();
+      if (!tok || tok.type !== "op") return left;
+      let op = tok.value;
+      if (op === "=") op = "==";
+      if (!COMPARISONS.has(op)) return left;
+      this.pos++;
+      left = { type: "binary", op, left, right: this.parseAdditive() };
+    }
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp("+") || this.isOp("-")) {
+      const op = this.peek().value;
+      this.pos++;
+      left = { type: "binary", op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp("*") || this.isOp("/") || this.isOp("%")) {
+      const op = this.peek().value;
+      this.pos++;
+      left = { type: "binary", op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp("-") || this.isOp("+")) {
+      const op = this.peek().value;
+      this.pos++;
+      return { type: "unary", op, operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+    for (;;) {
+      if (this.isOp("(")) {
+        this.pos++;
+        const args = [];
+        if (!this.isOp(")")) {
+          do {
+            if (args.length > 0) this.pos++;
+            args.push(this.parseOr());
+          } while (this.isOp(","));
+        }
+        this.expect(")");
+        node = { type: "call", callee: node, args };
+      } else if (this.isOp("[")) {
+        this.pos++;
+        const index = this.parseOr();
+        this.expect("]");
+        node = { type: "index", object: node, index };
+      } else if (this.isOp(".") && this.peek(1) && this.peek(1).type === "word") {
+        node = { type: "member", object: node, property: this.peek(1).value };
+        this.pos += 2;
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const tok = this.peek();
+    if (!tok) throw new SyntaxError("Unexpected end");
+    this.pos++;
+    if (tok.type === "number") return { type: "literal", kind: "number", value: tok.value };
+    if (tok.type === "string") return { type: "literal", kind: "string", value: tok.value };
+    if (tok.type === "word") {
+      const lower = tok.value.toLowerCase();
+      if (this.words.true.has(lower)) return { type: "literal", kind: "boolean", value: true };
+      if (this.words.false.has(lower)) return { type: "literal", kind: "boolean", value: false };
+      return { type: "name", name: tok.value };
+    }
+    if (tok.value === "(") {
+      const inner = this.parseOr();
+      this.expect(")");
+      return inner;
+    }
+    if (tok.value === "[") {
+      const items = [];
+      while (!this.isOp("]")) {
+        if (items.length > 0) this.expect(",");
+        items.push(this.parseOr());
+      }
+      this.pos++;
+      return { type: "array", items };
+    }
+    throw new SyntaxError(`Unexpected '${tok.value}'`);
+  }
+}
+
+function isAssignable(node) {
+  return node.type === "name" || node.type === "index" || node.type === "member";
+}
+
+function startsOperand(tok) {
+  if (!tok) return false;
+  if (tok.type !== "op") return true;
+  return tok.value === "(" || tok.value === "[" || tok.value === "-" || tok.value === "+" || tok.value === "not";
+}
+
+/**
+ * Parse a node text into an expression AST.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object|Object[]} [options.keywords] - Keyword map(s) supplying the
+ *   operator words and boolean literals (defaults to German and English); a
+ *   single map is read together with English, an array as given
+ * @param {boolean} [options.statement=false] - Parse `x = ...` as assignment
+ *   instead of comparison
+ * @returns {Object|null} The AST, or null if the text is no expression
+ */
+export function parseExpression(text, options = {}) {
+  const { keywords = [KEYWORDS_DE, KEYWORDS_EN], statement = false } = options;
+  const tokens = tokenize(String(text || ""));
+  if (!tokens || tokens.length === 0) return null;
+  const maps = Array.isArray(keywords) ? keywords : [keywords, KEYWORDS_EN];
+  try {
+    return new Parser(tokens, wordsOf(maps), statement).parse();
+  } catch (e) {
+    if (e instanceof SyntaxError) return null;
+    throw e;
+  }
+}
+
+/* ── Output ─────────────────────────────────────────────────── */
+
+// Binding strength per operator; higher binds tighter
+const PRECEDENCE_PYTHON = {
+  or: 1, and: 2, not: 3,
+  "==": 4, "!=": 4, "<": 4, "<=": 4, ">": 4, ">=": 4,
+  "+": 5, "-": 5, "*": 6, "/": 6, "%": 6, neg: 7,
+};
+const PRECEDENCE_C = {
+  or: 1, and: 2,
+  "==": 3, "!=": 3, "<": 4, "<=": 4, ">": 4, ">=": 4,
+  "+": 5, "-": 5, "*": 6, "/": 6, "%": 6, not: 7, neg: 7,
+};
+// Pascal binds `and`/`or` tighter than comparisons
+const PRECEDENCE_PASCAL = {
+  "==": 1, "!=": 1, "<": 1, "<=": 1, ">": 1, ">=": 1,
+  or: 2, "+": 2, "-": 2, and: 3, "*": 3, "/": 3, "%": 3, not: 4, neg: 4,
+};
+const POSTFIX = 9;
+const ATOM = 10;
+
+const C_FAMILY = {
+  and: "&&", or: "||", not: "!", "==": "==", "!=": "!=",
+  true: "true", false: "false", assign: "=", quote: '"',
+  precedence: PRECEDENCE_C,
+};
+
+// Array literals: Java names the element type, C and C++ use initializer lists
+const ARRAY_JAVA = { arrayOpen: "new {type}[] {", arrayClose: "}" };
+const ARRAY_BRACES = { arrayOpen: "{", arrayClose: "}" };
+
+const TARGETS = {
+  python: {
+    and: "and", or: "or", not: "not ", "==": "==", "!=": "!=",
+    true: "True", false: "False", assign: "=", quote: '"',
+    precedence: PRECEDENCE_PYTHON,
+  },
+  java: { ...C_FAMILY, ...ARRAY_JAVA },
+  javascript: { ...C_FAMILY, "==": "===", "!=": "!==" },
+  typescript: { ...C_FAMILY, "==": "===", "!=": "!==" },
+  csharp: { ...C_FAMILY, arrayOpen: "new[] {", arrayClose: "}" },
+  c: { ...C_FAMILY, ...ARRAY_BRACES, true: "1", false: "0" },
+  cpp: { ...C_FAMILY, ...ARRAY_BRACES },
+  pascal: {
+    and: "and", or: "or", not: "not ", "==": "=", "!=": "<>", "%": "mod",
+    true: "True", false: "False", assign: ":=", quote: "'",
+    precedence: PRECEDENCE_PASCAL,
+  },
+};
+
+/** Write a string literal with the quote character of the target. */
+function quoteString(raw, quote) {
+  if (raw[0] === quote) return raw;
+  const inner = raw.slice(1, -1);
+  const escaped = quote === "'" ? inner.replace(/'/g, "''") : inner.replace(/(^|[^\\])"/g, '$1\\"');
+  return quote + escaped + quote;
+}
+
+/** The Java type of a literal, for the element type of an array literal. */
+function literalType(node) {
+  if (!node || node.type !== "literal") return "int";
+  if (node.kind === "number") return node.value.includes(".") ? "double" : "int";
+  return node.kind === "string" ? "String" : "boolean";
+}
+
+/** Returns { text, prec } for a node in the given target. */
+function write(node, tgt) {
+  const prec = tgt.precedence;
+  const operand = (child, min) => {
+    const out = write(child, tgt);
+    return out.prec < min ? "(" + out.text + ")" : out.text;
+  };
+  switch (node.type) {
+    case "literal":
+      if (node.kind === "boolean") return { text: node.value ? tgt.true : tgt.false, prec: ATOM };
+      if (node.kind === "string") return { text: quoteString(node.value, tgt.quote), prec: ATOM };
+      return { text: node.value, prec: ATOM };
+    case "name":
+      return { text: node.name, prec: ATOM };
+    case "array": {
+      const open = (tgt.arrayOpen || "[").replace("{type}", literalType(node.items[0]));
+      return { text: open + node.items.map((item) => write(item, tgt).text).join(", ") + (tgt.arrayClose || "]"), prec: ATOM };
+    }
+    case "call":
+      return {
+        text: operand(node.callee, POSTFIX) + "(" + node.args.map((a) => write(a, tgt).text).join(", ") + ")",
+        prec: POSTFIX,
+      };
+    case "index":
+      return { text: operand(node.object, POSTFIX) + "[" + write(node.index, tgt).text + "]", prec: POSTFIX };
+    case "member":
+      return { text: operand(node.object, POSTFIX) + "." + node.property, prec: POSTFIX };
+    case "unary": {
+      const key = node.op === "not" ? "not" : "neg";
+      const p = prec[key];
+      const op = node.op === "not" ? tgt.not : node.op;
+      return { text: op + operand(node.operand, p), prec: p };
+    }
+    case "binary": {
+      const p = prec[node.op];
+      const op = tgt[node.op] || node.op;
+      // Left-associative: an equally strong right operand needs parentheses
+      return { text: operand(node.left, p) + " " + op + " " + operand(node.right, p + 1), prec: p };
+    }
+    case "assign":
+      return { text: write(node.target, tgt).text + " " + tgt.assign + " " + write(node.value, tgt).text, prec: 0 };
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Write an expression AST in the syntax of a code generation target.
+ * @param {Object} ast - From parseExpression
+ * @param {string} target - "python", "java", "javascript", "typescript",
+ *   "csharp", "c", "cpp" or "pascal"
+ * @returns {string}
+ */
+export function formatExpression(ast, target) {
+  const tgt = TARGETS[target];
+  if (!tgt) throw new Error(`Unsupported expression target: ${target}`);
+  return write(ast, tgt).text;
+}
+
+/**
+ * Translate a node text for a target, keeping it verbatim when it does not
+ * parse as an expression.
+ * @param {string} text
+ * @param {string} target - See formatExpression
+ * @param {Object} [options] - See parseExpression
+ * @returns {string}
+ */
+export function translateExpression(text, target, options = {}) {
+  const ast = parseExpression(text, options);
+  return ast ? formatExpression(ast, target) : text;
+}
+
+/**
+ * The negation of a condition in the syntax of a target. Text that does not
+ * parse is negated as a whole, in parentheses.
+ * @param {string} text
+ * @param {string} target - See formatExpression
+ * @param {Object} [options] - See parseExpression
+ * @returns {string}
+ */
+export function negateExpression(text, target, options = {}) {
+  const ast = parseExpression(text, options);
+  if (ast) return formatExpression({ type: "unary", op: "not", operand: ast }, target);
+  return TARGETS[target].not + "(" + text + ")";
+}
+
+/**
+ * The variable an input node reads into: the text itself if it is a name,
+ * otherwise its last word (`Zahl n` reads into `n`).
+ * @param {string} text
+ * @returns {string}
+ */
+export function inputTarget(text) {
+  const trimmed = String(text || "").trim();
+  const words = trimmed.match(/[\p{L}_][\p{L}\p{N}_]*/gu);
+  return words && !/^[\p{L}_][\p{L}\p{N}_]*$/u.test(trimmed) ? words[words.length - 1] : trimmed;
+}
+
+/**
+ * The values of a case label: `fall 1, 2:` lists two values. Commas in
+ * brackets or quotes do not separate values.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function caseLabels(text) {
+  text = String(text || "");
+  const labels = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ("([".includes(ch)) {
+      depth++;
+    } else if (")]".includes(ch)) {
+      depth--;
+    } else if (ch === "," && depth === 0) {
+      labels.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  labels.push(text.slice(start).trim());
+  return labels;
+}
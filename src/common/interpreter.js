@@ -0,0 +1,611 @@
+/**
+ * Step-by-step interpreter for struktog trees.
+ *
+ * Runs a diagram node by node with the semantics of the expression language
+ * (see expression.js):
+ *
+ *   const run = new Interpreter(tree, { input: ["5"] });
+ *   run.step();      // stops before the first node
+ *   run.step();      // runs it and stops before the next one
+ *   run.run();       // runs to the end, or until input is missing
+ *   run.state;       // → { status: "done", output: ["120"], variables: { n: 5, … }, … }
+ *
+ * Task lines are assignments (also `s += i`, `i++` and `n--`) or calls.
+ * Lines in words only (e.g. `Kaffee kochen`) describe a step and do
+ * nothing; other code the interpreter cannot run, e.g. `int s = 0`, is an
+ * error. Outputs whose text is no expression over
+ * known variables are printed verbatim. Input values that look like numbers
+ * are read as numbers, all others as strings.
+ *
+ * Functions are scopes of their own. Parallel branches run one after
+ * another. Runtime errors, e.g. an unknown variable or a division by zero,
+ * are caught by the nearest TryCatchNode; uncaught ones stop the program
+ * with status "error".
+ */
+
+import { countLoopFields, KEYWORDS_DE, KEYWORDS_EN } from "./pseudocode-parser.js";
+import { parseExpression, inputTarget, caseLabels } from "./expression.js";
+
+const CHILD_KEYS = ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild"];
+const NUMBER = /^\s*[-+]?\d+(?:\.\d+)?\s*$/;
+const COMPOUND = /^(.+?)\s*([-+*/%])=\s*(.+)$/;
+const INCREMENT = /^(?:(\+\+|--)\s*(.+)|(.+?)\s*(\+\+|--))$/;
+// Code rather than words: an assignment, ++/--, a statement end or a call
+const CODE = /(?:^|[^=!<>:])(?:=|:=|←)(?!=)|\+\+|--|;\s*$|^[\p{L}_][\p{L}\p{N}_.]*\s*\(.*\)$/u;
+
+/** Functions every diagram can call; `options.functions` adds more. */
+const BUILTINS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  len: (value) => {
+    if (!Array.isArray(value) && typeof value !== "string") throw new ProgramError("len needs an array or a string");
+    return value.length;
+  },
+};
+
+/** An error in the diagram: unknown variables, bad operands, division by zero … */
+class ProgramError extends Error {}
+
+// Control flow out of a loop or function
+class BreakSignal {}
+class ContinueSignal {}
+class ReturnSignal {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Runs a struktog tree one node at a time.
+ *
+ * `state.status` is "ready" before the first step, "running" while nodes
+ * are left, "waiting" when an InputNode needs a value that has not been
+ * given yet, and "done" or "error" at the end.
+ */
+export class Interpreter {
+  /**
+   * @param {Object} tree - The struktog tree
+   * @param {Object} [options]
+   * @param {Array<string|number>} [options.input] - Values for the InputNodes,
+   *   in order; more can be added with addInput
+   * @param {Object|Object[]} [options.keywords] - Keyword map(s) for the
+   *   operator words and boolean literals (see parseExpression)
+   * @param {Object<string, Function>} [options.functions] - Functions the
+   *   diagram can call besides its own and the built-in abs, sqrt, round,
+   *   min, max and len
+   * @param {number} [options.maxSteps=10000] - Steps after which the
+   *   program stops with an error, e.g. in an endless loop
+   * @param {number} [options.maxDepth=200] - Deepest allowed nesting of calls
+   */
+  constructor(tree, options = {}) {
+    this._tree = tree;
+    this._options = options;
+    this._keywords = options.keywords || [KEYWORDS_DE, KEYWORDS_EN];
+    this._functions = new Map();
+    (function collect(node, functions) {
+      if (!node) return;
+      if (node.type === "FunctionNode" && node.text) functions.set(node.text, node);
+      for (const key of [...CHILD_KEYS, "defaultNode"]) collect(node[key], functions);
+      (node.cases || []).forEach((c) => collect(c, functions));
+      (node.branches || []).forEach((b) => collect(b, functions));
+    })(tree, this._functions);
+    this.reset();
+  }
+
+  /** Start over with the input given to the constructor. */
+  reset() {
+    this._input = (this._options.input || []).slice();
+    this._output = [];
+    this._frames = [{ name: "", variables: new Map() }];
+    this._status = "ready";
+    this._node = null;
+    this._error = null;
+    this._steps = 0;
+    this._program = this._main();
+  }
+
+  /**
+   * Add values for InputNodes; a program waiting for input continues with
+   * the next step.
+   * @param {...(string|number)} values
+   */
+  addInput(...values) {
+    this._input.push(...values);
+  }
+
+  /**
+   * Run the current node and stop before the next one. The first step only
+   * stops before the first node.
+   * @returns {Object} The state afterwards (see `state`)
+   */
+  step() {
+    if (this._status === "done" || this._status === "error") return this.state;
+    if (this._status === "waiting" && this._input.length === 0) return this.state;
+    const maxSteps = this._options.maxSteps || 10000;
+    if (this._steps >= maxSteps) return this._fail(`Stopped after ${maxSteps} steps; is there an endless loop?`);
+    this._status = "running";
+    try {
+      const { done } = this._program.next();
+      if (done) {
+        this._status = "done";
+        this._node = null;
+      } else if (this._status !== "waiting") {
+        this._steps++;
+      }
+    } catch (e) {
+      // The engine's stack may end before maxDepth is reached
+      if (e instanceof RangeError) return this._fail("Too many nested calls");
+      if (!(e instanceof ProgramError)) throw e;
+      this._node = e.node || this._node;
+      return this._fail(e.message);
+    }
+    return this.state;
+  }
+
+  /** End the program with an error at the current node. */
+  _fail(message) {
+    this._status = "error";
+    this._error = { nodeId: this._node && this._node.id, message };
+    return this.state;
+  }
+
+  /**
+   * Step until the program ends, fails or waits for input.
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps] - Overrides the constructor's limit
+   * @returns {Object} The state afterwards (see `state`)
+   */
+  run(options = {}) {
+    const maxSteps = options.maxSteps || this._options.maxSteps || 10000;
+    for (let i = 0; i < maxSteps; i++) {
+      const { status } = this.step();
+      if (status === "done" || status === "error" || status === "waiting") return this.state;
+    }
+    return this._fail(`Stopped after ${maxSteps} steps; is there an endless loop?`);
+  }
+
+  /**
+   * A snapshot of the program.
+   * @returns {{status: string, nodeId: string|null, scope: string,
+   *   variables: Object, output: string[], input: Array, error:
+   *   {nodeId: string, message: string}|null, steps: number}} `nodeId` is
+   *   the node that runs next, `scope` is "" for the main program or the
+   *   name of the running function, `variables` are the ones in that scope
+   *   and `input` are the values not read yet
+   */
+  get state() {
+    return {
+      status: this._status,
+      nodeId: this._node ? this._node.id : null,
+      scope: this._frame.name,
+      variables: this.variables,
+      output: this.output,
+      input: this._input.slice(),
+      error: this._error,
+      steps: this._steps,
+    };
+  }
+
+  /** The variables of the running scope with their current values. */
+  get variables() {
+    const variables = {};
+    for (const [name, value] of this._frame.variables) variables[name] = copyValue(value);
+    return variables;
+  }
+
+  /** The lines written by OutputNodes so far. */
+  get output() {
+    return this._output.slice();
+  }
+
+  get _frame() {
+    return this._frames[this._frames.length - 1];
+  }
+
+  *_main() {
+    try {
+      yield* this._execute(this._tree);
+    } catch (e) {
+      // A return in the main program ends it
+      if (!(e instanceof ReturnSignal)) throw outsideLoop(e);
+    }
+  }
+
+  /** Run a node and everything after it, stopping before each node. */
+  *_execute(node) {
+    for (; node; node = node.followElement) {
+      if (!node.type || node.type === "InsertNode" || node.type === "Placeholder") continue;
+      // Definitions run when they are called
+      if (node.type === "FunctionNode") continue;
+      yield* this._visit(node);
+      yield* this._run(node);
+    }
+  }
+
+  /** Stop before a node. */
+  *_visit(node) {
+    this._node = node;
+    yield node;
+  }
+
+  *_run(node) {
+    const text = node.text || "";
+    switch (node.type) {
+      case "TaskNode":
+        for (const line of text.split("\n")) {
+          const ast = this._statement(line.trim());
+          if (ast && ast.type === "assign") {
+            yield* this._assign(ast.target, yield* this._evaluate(ast.value));
+          } else if (ast && ast.type === "call") {
+            yield* this._evaluate(ast);
+          } else if (CODE.test(line.trim())) {
+            throw new ProgramError(`Cannot run '${line.trim()}'`);
+          }
+          // Anything else only describes the step
+        }
+        break;
+
+      case "InputNode": {
+        while (this._input.length === 0) {
+          this._status = "waiting";
+          yield node;
+        }
+        const value = this._input.shift();
+        this._setVariable(inputTarget(text), NUMBER.test(String(value)) ? Number(value) : String(value));
+        break;
+      }
+
+      case "OutputNode": {
+        const ast = parseExpression(text, { keywords: this._keywords });
+        const known = ast && namesOf(ast).every((name) => this._isDefined(name));
+        this._output.push(known ? this._format(yield* this._evaluate(ast)) : text);
+        break;
+      }
+
+      case "CallNode":
+        // A bare name is called without arguments
+        yield* this._evaluate(this._parse(/\)\s*$/.test(text) ? text : text + "()"));
+        break;
+
+      case "ReturnNode":
+        throw new ReturnSignal(text ? yield* this._evaluate(this._parse(text)) : null);
+
+      case "BreakNode":
+        throw new BreakSignal();
+
+      case "ContinueNode":
+        throw new ContinueSignal();
+
+      case "BranchNode":
+        yield* this._execute((yield* this._condition(text)) ? node.trueChild : node.falseChild);
+        break;
+
+      case "CaseNode": {
+        const subject = yield* this._evaluate(this._parse(text));
+        for (const c of node.cases || []) {
+          if ((yield* this._caseValues(c.text)).includes(subject)) {
+            yield* this._execute(c.followElement);
+            return;
+          }
+        }
+        if (node.defaultOn && node.defaultNode) yield* this._execute(node.defaultNode.followElement);
+        break;
+      }
+
+      case "HeadLoopNode":
+        while (yield* this._condition(text)) {
+          if (yield* this._loopBody(node.child)) break;
+          yield* this._visit(node);
+        }
+        break;
+
+      case "FootLoopNode":
+        for (;;) {
+          if (yield* this._loopBody(node.child)) break;
+          yield* this._visit(node);
+          if (!(yield* this._condition(text))) break;
+        }
+        break;
+
+      case "CountLoopNode": {
+        const loop = countLoopFields(node);
+        if (!loop) throw new ProgramError(`Cannot run the count loop '${text}'`);
+        const from = this._number(yield* this._evaluate(this._parse(loop.from)));
+        const to = this._number(yield* this._evaluate(this._parse(loop.to)));
+        const step = loop.step ? this._number(yield* this._evaluate(this._parse(loop.step))) : 1;
+        if (step === 0) throw new ProgramError("The step of a count loop must not be 0");
+        this._setVariable(loop.variable, from);
+        while (step > 0 ? this._getVariable(loop.variable) <= to : this._getVariable(loop.variable) >= to) {
+          if (yield* this._loopBody(node.child)) break;
+          yield* this._visit(node);
+          this._setVariable(loop.variable, this._number(this._getVariable(loop.variable)) + step);
+        }
+        break;
+      }
+
+      case "TryCatchNode":
+        try {
+          yield* this._execute(node.tryChild);
+        } catch (e) {
+          if (!(e instanceof ProgramError)) throw e;
+          // `Exception e` or `e` names the caught error
+          const name = text.trim().split(/\s+/).pop();
+          if (name) this._setVariable(name, e.message);
+          yield* this._execute(node.catchChild);
+        }
+        break;
+
+      case "ParallelNode":
+        for (const branch of node.branches || []) yield* this._execute(branch);
+        break;
+    }
+  }
+
+  /** Run a loop body; true if it ended with a break. */
+  *_loopBody(child) {
+    try {
+      yield* this._execute(child);
+    } catch (e) {
+      if (e instanceof BreakSignal) return true;
+      if (!(e instanceof ContinueSignal)) throw e;
+    }
+    return false;
+  }
+
+  *_condition(text) {
+    return Boolean(yield* this._evaluate(this._parse(text)));
+  }
+
+  /** Parse a task line; `s += i` and `i++` become plain assignments. */
+  _statement(line) {
+    const options = { keywords: this._keywords, statement: true };
+    const increment = line.match(INCREMENT);
+    const compound = !increment && line.match(COMPOUND);
+    let target;
+    let op;
+    let value;
+    if (increment) {
+      target = increment[2] || increment[3];
+      op = (increment[1] || increment[4])[0];
+      value = "1";
+    } else if (compound) {
+      [, target, op, value] = compound;
+    } else {
+      return parseExpression(line, options);
+    }
+    const ast = parseExpression(`${target} = ${target} ${op} (${value})`, options);
+    return ast && ast.type === "assign" ? ast : null;
+  }
+
+  _parse(text) {
+    const ast = parseExpression(text, { keywords: this._keywords });
+    if (!ast) throw new ProgramError(`Cannot evaluate '${text}'`);
+    return ast;
+  }
+
+  /**
+   * The values of a case label, e.g. `1, 2` or `-2`: each expression over
+   * known names is evaluated, anything else is taken as text (the parser
+   * drops the quotes of `fall "ja":`).
+   */
+  *_caseValues(text) {
+    const values = [];
+    for (const label of caseLabels(text)) {
+      const ast = parseExpression(label, { keywords: this._keywords });
+      const known = ast && namesOf(ast).every((name) => this._isDefined(name));
+      values.push(known ? yield* this._evaluate(ast) : label);
+    }
+    return values;
+  }
+
+  *_evaluate(ast) {
+    switch (ast.type) {
+      case "literal":
+        return literalValue(ast);
+      case "array": {
+        const items = [];
+        for (const item of ast.items) items.push(yield* this._evaluate(item));
+        return items;
+      }
+      case "name":
+        return this._getVariable(ast.name);
+      case "index": {
+        const object = yield* this._evaluate(ast.object);
+        const index = this._number(yield* this._evaluate(ast.index));
+        if (!Array.isArray(object) && typeof object !== "string") {
+          throw new ProgramError(`${describe(ast.object)} is no array`);
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= object.length) {
+          throw new ProgramError(`Index ${index} is out of range`);
+        }
+        return object[index];
+      }
+      case "member": {
+        const object = yield* this._evaluate(ast.object);
+        if (ast.property === "length" && object != null && object.length !== undefined) return object.length;
+        throw new ProgramError(`Unknown property '${ast.property}'`);
+      }
+      case "call": {
+        const args = [];
+        for (const arg of ast.args) args.push(yield* this._evaluate(arg));
+        return yield* this._call(ast.callee, args);
+      }
+      case "unary": {
+        const operand = yield* this._evaluate(ast.operand);
+        if (ast.op === "not") return !operand;
+        return ast.op === "-" ? -this._number(operand) : this._number(operand);
+      }
+      case "binary": {
+        const left = yield* this._evaluate(ast.left);
+        // and / or only evaluate the right side when needed
+        if (ast.op === "and") return Boolean(left) && Boolean(yield* this._evaluate(ast.right));
+        if (ast.op === "or") return Boolean(left) || Boolean(yield* this._evaluate(ast.right));
+        return this._binary(ast.op, left, yield* this._evaluate(ast.right));
+      }
+      default:
+        throw new ProgramError(`Cannot evaluate '${describe(ast)}'`);
+    }
+  }
+
+  _binary(op, left, right) {
+    switch (op) {
+      case "==":
+        return left === right;
+      case "!=":
+        return left !== right;
+      case "<":
+      case "<=":
+      case ">":
+      case ">=": {
+        if (typeof left !== typeof right || !["number", "string"].includes(typeof left)) {
+          throw new ProgramError(`Cannot compare ${this._format(left)} and ${this._format(right)}`);
+        }
+        if (op === "<") return left < right;
+        if (op === "<=") return left <= right;
+        return op === ">" ? left > right : left >= right;
+      }
+      case "+":
+        if (typeof left === "string" || typeof right === "string") {
+          return this._format(left) + this._format(right);
+        }
+        return this._number(left) + this._number(right);
+      case "-":
+        return this._number(left) - this._number(right);
+      case "*":
+        return this._number(left) * this._number(right);
+      case "/":
+      case "%": {
+        const divisor = this._number(right);
+        if (divisor === 0) throw new ProgramError("Division by zero");
+        return op === "/" ? this._number(left) / divisor : this._number(left) % divisor;
+      }
+      default:
+        throw new ProgramError(`Unknown operator '${op}'`);
+    }
+  }
+
+  *_call(callee, args) {
+    const name = callee.type === "name" ? callee.name : null;
+    const fn = name && this._functions.get(name);
+    if (!fn) {
+      const builtin = name && ({ ...BUILTINS, ...this._options.functions })[name];
+      if (!builtin) throw new ProgramError(`Unknown function '${describe(callee)}'`);
+      try {
+        return builtin(...args);
+      } catch (e) {
+        throw e instanceof ProgramError ? e : new ProgramError(`${name}: ${e.message}`);
+      }
+    }
+    const params = (fn.parameters || []).map((p) => p.parName);
+    if (args.length !== params.length) {
+      throw new ProgramError(`${name} expects ${params.length} argument(s), got ${args.length}`);
+    }
+    if (this._frames.length > (this._options.maxDepth || 200)) {
+      throw new ProgramError(`Too many nested calls of ${name}`);
+    }
+    const variables = new Map(params.map((param, i) => [param, copyValue(args[i])]));
+    const caller = this._node;
+    this._frames.push({ name, variables });
+    try {
+      yield* this._execute(fn.child);
+      return null;
+    } catch (e) {
+      if (e instanceof ReturnSignal) return e.value;
+      const error = outsideLoop(e);
+      // Errors belong to the node inside the function that failed
+      if (error instanceof ProgramError && !error.node) error.node = this._node;
+      throw error;
+    } finally {
+      this._frames.pop();
+      this._node = caller;
+    }
+  }
+
+  *_assign(target, value) {
+    if (target.type === "name") {
+      this._setVariable(target.name, copyValue(value));
+      return;
+    }
+    if (target.type === "index" && target.object.type === "name") {
+      // a[i] ← x creates the array a if needed
+      const name = target.object.name;
+      const array = this._isDefined(name) ? this._getVariable(name) : [];
+      if (!Array.isArray(array)) throw new ProgramError(`${name} is no array`);
+      const index = this._number(yield* this._evaluate(target.index));
+      if (!Number.isInteger(index) || index < 0) throw new ProgramError(`Index ${index} is out of range`);
+      while (array.length < index) array.push(0);
+      array[index] = copyValue(value);
+      this._setVariable(name, array);
+      return;
+    }
+    throw new ProgramError(`Cannot assign to '${describe(target)}'`);
+  }
+
+  _isDefined(name) {
+    return this._frame.variables.has(name) || this._functions.has(name) ||
+      name in BUILTINS || Boolean(this._options.functions && name in this._options.functions);
+  }
+
+  _getVariable(name) {
+    if (!this._frame.variables.has(name)) throw new ProgramError(`Unknown variable '${name}'`);
+    return this._frame.variables.get(name);
+  }
+
+  _setVariable(name, value) {
+    this._frame.variables.set(name, value);
+  }
+
+  _number(value) {
+    if (typeof value !== "number") throw new ProgramError(`${this._format(value)} is no number`);
+    return value;
+  }
+
+  /** A value as OutputNodes print it; booleans use the keyword words. */
+  _format(value) {
+    const keywords = Array.isArray(this._keywords) ? this._keywords[0] : this._keywords;
+    if (value === true) return keywords.true || "true";
+    if (value === false) return keywords.false || "false";
+    if (Array.isArray(value)) return "[" + value.map((v) => this._format(v)).join(", ") + "]";
+    return value == null ? "" : String(value);
+  }
+}
+
+/** A break or continue that left its function is an error in the diagram. */
+function outsideLoop(e) {
+  return e instanceof BreakSignal || e instanceof ContinueSignal
+    ? new ProgramError("Break or continue outside of a loop")
+    : e;
+}
+
+function literalValue(ast) {
+  if (ast.kind === "number") return Number(ast.value);
+  if (ast.kind === "string") return ast.value.slice(1, -1).replace(/\\(.)/g, "$1");
+  return ast.value;
+}
+
+/** Arrays are values: assigning or passing one copies it. */
+function copyValue(value) {
+  return Array.isArray(value) ? value.map(copyValue) : value;
+}
+
+/** The variable and function names an expression uses. */
+function namesOf(ast) {
+  if (ast.type === "name") return [ast.name];
+  const names = [];
+  for (const key of ["callee", "object", "index", "operand", "left", "right", "target", "value"]) {
+    if (ast[key] && typeof ast[key] === "object") names.push(...namesOf(ast[key]));
+  }
+  for (const child of [...(ast.args || []), ...(ast.items || [])]) names.push(...namesOf(child));
+  return names;
+}
+
+/** A short text for an expression in error messages. */
+function describe(ast) {
+  if (ast.type === "name") return ast.name;
+  if (ast.type === "member") return describe(ast.object) + "." + ast.property;
+  if (ast.type === "index") return describe(ast.object) + "[…]";
+  return ast.type === "literal" ? String(ast.value) : "expression";
+}
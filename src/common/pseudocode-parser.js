@@ -1,22 +1,27 @@
 /**
  * Parse pseudocode into a struktog tree.
  *
- * Keywords are configurable via keyword maps (KEYWORDS_DE, KEYWORDS_EN).
- * Default is German (KEYWORDS_DE) for backward compatibility.
+ * Keywords are configurable via keyword maps (KEYWORDS_DE, KEYWORDS_EN,
+ * KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL); further languages can be added
+ * with registerKeywords(). Default is German (KEYWORDS_DE) for backward
+ * compatibility.
  *
  * Syntax (using German keywords):
+ *   # Comment lines are kept as the `comment` of the following node
  *   # TaskNode — any plain statement
  *   ergebnis = 1
  *
  *   # InputNode
  *   eingabe("Zahl n")
  *
- *   # OutputNode
- *   ausgabe("Ergebnis")
+ *   # OutputNode (an expression; string literals keep their quotes)
+ *   ausgabe("Ergebnis: " + ergebnis)
  *
- *   # CountLoopNode
+ *   # CountLoopNode (variable, from, to and an optional step)
  *   wiederhole für i = 1 bis 10:
  *       ...
+ *   wiederhole für i = 10 bis 0 schrittweite -2:
+ *       ...
  *
  *   # HeadLoopNode
  *   wiederhole solange x > 0:
@@ -33,6 +38,14 @@
  *   sonst:
  *       ...
  *
+ *   # Else-if ladder (nested BranchNodes in the false branch)
+ *   falls x > 0:
+ *       ...
+ *   sonst falls x < 0:
+ *       ...
+ *   sonst:
+ *       ...
+ *
  *   # BranchNode with column widths
  *   falls x > 0 [0.7, 0.3]:
  *       ...
@@ -57,6 +70,13 @@
  *       sonst:
  *           ...
  *
+ *   # ParallelNode (optionally with column widths)
+ *   parallel:
+ *       zweig:
+ *           ...
+ *       zweig:
+ *           ...
+ *
  *   # FunctionNode
  *   funktion factorial(n):
  *       ...
@@ -66,30 +86,135 @@
  *       ...
  *   fange Exception e:
  *       ...
+ *
+ *   # CallNode (DIN 66261 call block)
+ *   aufruf fakultaet(5)
+ *
+ *   # Multi-line text: a trailing backslash continues on the next line
+ *   temp = a\
+ *       a = b\
+ *       b = temp
+ *
+ *   # ReturnNode / BreakNode / ContinueNode (DIN 66261 exit blocks)
+ *   zurück n * fakultaet(n - 1)
+ *   abbruch
+ *   weiter
  */
 
 export const KEYWORDS_DE = {
   if: "falls", else: "sonst",
   repeat: "wiederhole", while: "solange", for: "für",
+  to: "bis", step: "schrittweite",
   switch: "unterscheide", case: "fall",
-  function: "funktion",
+  parallel: "parallel", branch: "zweig",
+  function: "funktion", call: "aufruf",
   try: "versuche", catch: "fange",
   input: "eingabe", output: "ausgabe",
+  return: "zurück", break: "abbruch", continue: "weiter",
   true: "Wahr", false: "Falsch",
+  and: "und", or: "oder", not: "nicht",
   default: "Sonst",
 };
 
 export const KEYWORDS_EN = {
   if: "if", else: "else",
   repeat: "repeat", while: "while", for: "for",
+  to: "to", step: "step",
   switch: "switch", case: "case",
-  function: "function",
+  parallel: "parallel", branch: "branch",
+  function: "function", call: "call",
   try: "try", catch: "catch",
   input: "input", output: "output",
+  return: "return", break: "break", continue: "continue",
   true: "True", false: "False",
+  and: "and", or: "or", not: "not",
   default: "Default",
 };
 
+export const KEYWORDS_FR = {
+  if: "si", else: "sinon",
+  repeat: "répéter", while: "tant que", for: "pour",
+  to: "à", step: "pas",
+  switch: "selon", case: "cas",
+  parallel: "parallèle", branch: "branche",
+  function: "fonction", call: "appel",
+  try: "essayer", catch: "attraper",
+  input: "saisir", output: "afficher",
+  return: "retourner", break: "interrompre", continue: "continuer",
+  true: "Vrai", false: "Faux",
+  and: "et", or: "ou", not: "non",
+  default: "Autre",
+};
+
+export const KEYWORDS_ES = {
+  if: "si", else: "sino",
+  repeat: "repetir", while: "mientras", for: "para",
+  to: "hasta", step: "paso",
+  switch: "según", case: "caso",
+  parallel: "paralelo", branch: "rama",
+  function: "función", call: "llamar",
+  try: "intentar", catch: "capturar",
+  input: "leer", output: "escribir",
+  return: "devolver", break: "salir", continue: "continuar",
+  true: "Verdadero", false: "Falso",
+  and: "y", or: "o", not: "no",
+  default: "Otro",
+};
+
+export const KEYWORDS_NL = {
+  if: "als", else: "anders",
+  repeat: "herhaal", while: "zolang", for: "voor",
+  to: "tot", step: "stap",
+  switch: "kies", case: "geval",
+  parallel: "parallel", branch: "tak",
+  function: "functie", call: "aanroep",
+  try: "probeer", catch: "vang",
+  input: "invoer", output: "uitvoer",
+  return: "retourneer", break: "stop", continue: "volgende",
+  true: "Waar", false: "Onwaar",
+  and: "en", or: "of", not: "niet",
+  default: "Anders",
+};
+
+/** Registered keyword sets by language code, in registration order. */
+const KEYWORD_SETS = new Map();
+
+/**
+ * Register a pseudocode keyword set so components accept it as their `lang`
+ * attribute and list it in the editor's language select. Keywords missing
+ * from the set fall back to English.
+ * @param {string} lang - Language code, e.g. "fr"
+ * @param {Object} keywords - Keyword map (same shape as KEYWORDS_EN)
+ * @param {string} [label] - Name shown in the language select
+ */
+export function registerKeywords(lang, keywords, label = lang) {
+  KEYWORD_SETS.set(lang.toLowerCase(), {
+    label,
+    keywords: { ...KEYWORDS_EN, ...keywords },
+  });
+}
+
+/**
+ * Look up a registered keyword set; unknown languages get KEYWORDS_DE.
+ * @param {string} [lang="de"]
+ * @returns {Object} Keyword map
+ */
+export function getKeywords(lang = "de") {
+  const entry = KEYWORD_SETS.get(String(lang).toLowerCase());
+  return entry ? entry.keywords : KEYWORDS_DE;
+}
+
+/** @returns {{lang: string, label: string}[]} All registered languages */
+export function getKeywordLanguages() {
+  return [...KEYWORD_SETS].map(([lang, { label }]) => ({ lang, label }));
+}
+
+KEYWORD_SETS.set("de", { label: "Deutsch", keywords: KEYWORDS_DE });
+KEYWORD_SETS.set("en", { label: "English", keywords: KEYWORDS_EN });
+registerKeywords("fr", KEYWORDS_FR, "Français");
+registerKeywords("es", KEYWORDS_ES, "Español");
+registerKeywords("nl", KEYWORDS_NL, "Nederlands");
+
 /** Escape special regex characters in a string. */
 function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -108,13 +233,31 @@ function placeholder() {
   return { type: "Placeholder" };
 }
 
+/**
+ * Record the 1-based source line range covered by the node wrapped in
+ * `insert`, from the first line of `first` to the last child line of `last`,
+ * and attach the comments written above `first`.
+ */
+function located(insert, first, last = first) {
+  const end = last.children.length > 0 ? last.children[last.children.length - 1].endLine : last.endLine;
+  insert.followElement.source = { startLine: first.line, endLine: end };
+  addComment(insert.followElement, first);
+  return insert;
+}
+
+/** Append the comment lines written above `block` to `node.comment`. */
+function addComment(node, block) {
+  if (!block.comment) return;
+  node.comment = node.comment ? node.comment + "\n" + block.comment : block.comment;
+}
+
 /**
  * Extract optional column widths from the end of a condition string.
  * E.g. "x > 0 [0.7, 0.3]" → { text: "x > 0", columnWidths: [0.7, 0.3] }
  *      "x > 0"             → { text: "x > 0", columnWidths: null }
  */
 function extractColumnWidths(str) {
-  const match = str.match(/^(.*?)\s*\[([0-9.,\s]+)\]\s*$/);
+  const match = str.match(/^(.*?)\s*\[([0-9.,\s]+)\]\s*$/s);
   if (match) {
     const text = match[1].trim();
     const widths = match[2].split(",").map(s => parseFloat(s.trim())).filter(n => !isNaN(n));
@@ -124,45 +267,144 @@ function extractColumnWidths(str) {
 }
 
 /**
- * Tokenize source into lines with their indent level.
+ * Create a diagnostic entry.
+ * @param {{line: number, column: number}} pos - Source position (1-based)
+ * @param {"error"|"warning"} severity
+ * @param {string} code - Stable machine-readable identifier
+ * @param {string} message - Human-readable description
  */
-function tokenize(source) {
+function diagnostic(pos, severity, code, message) {
+  return { line: pos.line, column: pos.column, severity, message, code };
+}
+
+/** Compute the Levenshtein distance between two short strings. */
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+/** Keywords used inside node texts, never at the start of a block. */
+const EXPRESSION_KEYWORDS = new Set(["to", "step", "and", "or", "not", "true", "false", "default"]);
+
+/**
+ * Find the block keyword closest to `word` (case-insensitive), if it is a
+ * plausible typo. Returns null when nothing is close enough.
+ */
+function suggestKeyword(word, keywords) {
+  const lower = word.toLowerCase();
+  let best = null;
+  let bestDist = Infinity;
+  const blockKeywords = Object.entries(keywords)
+    .filter(([key]) => !EXPRESSION_KEYWORDS.has(key))
+    .map(([, kw]) => kw);
+  for (const kw of new Set(blockKeywords)) {
+    const dist = editDistance(lower, kw.toLowerCase());
+    if (dist > 0 && dist < bestDist) {
+      best = kw;
+      bestDist = dist;
+    }
+  }
+  return best && bestDist <= Math.max(1, Math.floor(best.length / 3)) ? best : null;
+}
+
+/**
+ * Tokenize source into lines with their indent level and position.
+ * Tabs count as four spaces; mixing tabs and spaces is reported once.
+ * `#` comment lines are attached to the next line as `comment`.
+ */
+function tokenize(source, diagnostics) {
   const rawLines = source.split("\n");
   const lines = [];
-  for (const raw of rawLines) {
+  let indentChar = null;
+  let mixedReported = false;
+  let comments = [];
+  for (let n = 0; n < rawLines.length; n++) {
+    const raw = rawLines[n];
     const trimmed = raw.trimEnd();
-    if (trimmed === "" || trimmed.startsWith("#")) continue;
+    if (trimmed === "") continue;
+    if (trimmed.trimStart().startsWith("#")) {
+      // Comments belong to the statement that follows them
+      comments.push(trimmed.trimStart().replace(/^# ?/, ""));
+      continue;
+    }
+    const leading = raw.slice(0, raw.length - raw.trimStart().length);
     const stripped = raw.replace(/\t/g, "    ");
     const indent = stripped.length - stripped.trimStart().length;
-    lines.push({ text: trimmed.trim(), indent });
+    const column = leading.length + 1;
+    const line = n + 1;
+    if (leading && !mixedReported) {
+      const mixed = leading.includes("\t") && leading.includes(" ");
+      indentChar = indentChar || leading[0];
+      if (mixed || !leading.includes(indentChar)) {
+        mixedReported = true;
+        diagnostics.push(diagnostic({ line, column: 1 }, "warning", "mixed-indent",
+          "Indentation mixes tabs and spaces; a tab counts as 4 spaces."));
+      }
+    }
+    // A trailing backslash continues the text on the next line
+    let text = trimmed.trim();
+    while (text.endsWith("\\") && n + 1 < rawLines.length) {
+      n++;
+      text = text.slice(0, -1) + "\n" + rawLines[n].trim();
+    }
+    const token = { text, indent, line, endLine: n + 1, column };
+    if (comments.length > 0) token.comment = comments.join("\n");
+    comments = [];
+    lines.push(token);
+  }
+  // Comments after the last statement stay with it
+  if (comments.length > 0 && lines.length > 0) {
+    const last = lines[lines.length - 1];
+    last.comment = [last.comment, ...comments].filter((c) => c != null).join("\n");
   }
   return lines;
 }
 
+/** Indentation of the first line, which sets the level of a nested block. */
+function firstIndent(lines) {
+  return lines.length > 0 ? lines[0].indent : 0;
+}
+
 /**
  * Group lines into blocks by indent level.
- * Returns an array of { text, indent, children[] } where children
- * are lines that are indented deeper than the current line.
+ * Returns an array of { text, indent, line, endLine, column, comment, children[] } where
+ * children are lines that are indented deeper than the current line.
+ * Lines that do not line up with `baseIndent` are kept at this level and
+ * reported to `diagnostics` (if given).
  */
-function groupBlocks(lines, baseIndent) {
+function groupBlocks(lines, baseIndent, diagnostics) {
   const blocks = [];
   let i = 0;
   while (i < lines.length) {
     const line = lines[i];
-    if (line.indent < baseIndent) break;
-    if (line.indent > baseIndent) {
-      // This shouldn't happen at top level — skip
-      i++;
-      continue;
+    if (line.indent !== baseIndent && diagnostics) {
+      diagnostics.push(line.indent < baseIndent
+        ? diagnostic(line, "warning", "inconsistent-indent",
+          `Indentation (${line.indent}) does not match the enclosing block (${baseIndent}); treated as part of it.`)
+        : diagnostic(line, "warning", "unexpected-indent",
+          "Unexpected indentation; treated as part of the enclosing block."));
     }
-    // Collect children (all subsequent lines with indent > baseIndent)
+    // Collect children (all subsequent lines indented deeper than this level)
     const children = [];
     i++;
-    while (i < lines.length && lines[i].indent > baseIndent) {
+    while (i < lines.length && lines[i].indent > Math.max(baseIndent, line.indent)) {
       children.push(lines[i]);
       i++;
     }
-    blocks.push({ text: line.text, indent: line.indent, children });
+    blocks.push({ text: line.text, indent: line.indent, line: line.line, endLine: line.endLine, column: line.column, comment: line.comment, children });
   }
   return blocks;
 }
@@ -175,198 +417,13 @@ function stripColon(text) {
 }
 
 /**
- * Parse a sequence of blocks into a linked list of nodes.
- * Returns the root InsertNode of the chain.
- */
-function parseBlocks(lines, baseIndent) {
-  const blocks = groupBlocks(lines, baseIndent);
-  if (blocks.length === 0) return makeInsert(placeholder());
-
-  // Build the chain from the end backwards
-  let tail = makeInsert(null);
-
-  // Process blocks in reverse to build the followElement chain
-  for (let i = blocks.length - 1; i >= 0; i--) {
-    const block = blocks[i];
-    const node = parseStatement(block, baseIndent, tail);
-    tail = node;
-  }
-  return tail;
-}
-
-/**
- * Parse a single statement block into a node, with `followTail` as the
- * continuation after this node.
- */
-function parseStatement(block, baseIndent, followTail) {
-  const text = block.text;
-  const children = block.children;
-  const childIndent = baseIndent + 4;
-
-  // --- eingabe("...") → InputNode ---
-  const inputMatch = text.match(/^eingabe\s*\(\s*"?([^"]*)"?\s*\)$/i);
-  if (inputMatch) {
-    return makeInsert({
-      id: uid(), type: "InputNode", text: inputMatch[1],
-      followElement: followTail,
-    });
-  }
-
-  // --- ausgabe("...") → OutputNode ---
-  const outputMatch = text.match(/^ausgabe\s*\(\s*"?([^"]*)"?\s*\)$/i);
-  if (outputMatch) {
-    return makeInsert({
-      id: uid(), type: "OutputNode", text: outputMatch[1],
-      followElement: followTail,
-    });
-  }
-
-  // --- funktion name(params): → FunctionNode ---
-  const funcMatch = text.match(/^funktion\s+(\w+)\s*\(([^)]*)\)\s*:$/i);
-  if (funcMatch) {
-    const fname = funcMatch[1];
-    const paramStr = funcMatch[2].trim();
-    const parameters = paramStr
-      ? paramStr.split(",").map((p, i) => ({ pos: String(i * 3), parName: p.trim() }))
-      : [];
-    const childTree = parseBlocks(children, childIndent);
-    return makeInsert({
-      id: uid(), type: "FunctionNode", text: fname, parameters,
-      child: childTree,
-      followElement: followTail,
-    });
-  }
-
-  // --- versuche: / fange ...: → TryCatchNode ---
-  if (/^versuche\s*:$/i.test(text)) {
-    const tryChild = parseBlocks(children, childIndent);
-    // Look for the next sibling "fange" — it should be in followTail context
-    // Actually, "fange" is handled as the next block in the parent sequence.
-    // We need to peek ahead. This is done by the caller grouping.
-    // For now, return partial — the caller will merge.
-    return {
-      _type: "try", tryChild, followTail,
-    };
-  }
-  if (/^fange\s+/i.test(text)) {
-    const catchText = stripColon(text.replace(/^fange\s+/i, ""));
-    const catchChild = parseBlocks(children, childIndent);
-    return {
-      _type: "catch", catchText, catchChild, followTail,
-    };
-  }
-
-  // --- wiederhole: ... solange X (FootLoopNode) ---
-  if (/^wiederhole\s*:$/i.test(text)) {
-    const childTree = parseBlocks(children, childIndent);
-    // The "solange X" line follows as the next block — handled by caller merge
-    return {
-      _type: "wiederhole_body", childTree, followTail,
-    };
-  }
-  // --- solange X (footer of FootLoopNode) ---
-  if (/^solange\s+/i.test(text) && !text.endsWith(":")) {
-    const cond = text.replace(/^solange\s+/i, "").trim();
-    return {
-      _type: "solange_footer", cond, followTail,
-    };
-  }
-
-  // --- wiederhole für ...: → CountLoopNode ---
-  const countMatch = text.match(/^wiederhole\s+für\s+(.+)\s*:$/i);
-  if (countMatch) {
-    const childTree = parseBlocks(children, childIndent);
-    return makeInsert({
-      id: uid(), type: "CountLoopNode", text: countMatch[1],
-      child: childTree,
-      followElement: followTail,
-    });
-  }
-
-  // --- wiederhole solange ...: → HeadLoopNode ---
-  const headMatch = text.match(/^wiederhole\s+solange\s+(.+)\s*:$/i);
-  if (headMatch) {
-    const childTree = parseBlocks(children, childIndent);
-    return makeInsert({
-      id: uid(), type: "HeadLoopNode", text: headMatch[1],
-      child: childTree,
-      followElement: followTail,
-    });
-  }
-
-  // --- unterscheide ...: → CaseNode ---
-  const caseMatch = text.match(/^unterscheide\s+(.+)\s*:$/i);
-  if (caseMatch) {
-    const varName = caseMatch[1];
-    const caseBlocks = groupBlocks(children, childIndent);
-    const cases = [];
-    let defaultNode = null;
-    let defaultOn = false;
-
-    for (const cb of caseBlocks) {
-      const fallMatch = cb.text.match(/^fall\s+(.+)\s*:$/i);
-      if (fallMatch) {
-        const caseChildIndent = childIndent + 4;
-        const caseBody = parseBlocks(cb.children, caseChildIndent);
-        cases.push({
-          id: uid(), type: "InsertCase", text: stripColon(fallMatch[1].replace(/^"(.*)"$/, "$1")),
-          followElement: caseBody,
-        });
-      } else if (/^sonst\s*:$/i.test(cb.text)) {
-        defaultOn = true;
-        const caseChildIndent = childIndent + 4;
-        const caseBody = parseBlocks(cb.children, caseChildIndent);
-        defaultNode = {
-          id: uid(), type: "InsertCase", text: "Sonst",
-          followElement: caseBody,
-        };
-      }
-    }
-    if (!defaultNode) {
-      defaultNode = {
-        id: uid(), type: "InsertCase", text: "Sonst",
-        followElement: makeInsert(placeholder()),
-      };
-    }
-
-    return makeInsert({
-      id: uid(), type: "CaseNode", text: varName,
-      defaultOn,
-      defaultNode,
-      cases,
-      followElement: followTail,
-    });
-  }
-
-  // --- falls ...: / sonst: → BranchNode ---
-  const branchMatch = text.match(/^falls\s+(.+)\s*:$/i);
-  if (branchMatch) {
-    const cond = branchMatch[1];
-    const trueChild = parseBlocks(children, childIndent);
-    // "sonst:" is handled as separate block — return partial
-    return {
-      _type: "falls", cond, trueChild, followTail,
-    };
-  }
-  if (/^sonst\s*:$/i.test(text)) {
-    const falseChild = parseBlocks(children, childIndent);
-    return {
-      _type: "sonst", falseChild, followTail,
-    };
-  }
-
-  // --- TaskNode (default) ---
-  return makeInsert({
-    id: uid(), type: "TaskNode", text: text,
-    followElement: followTail,
-  });
-}
-
-/**
- * Second pass: merge multi-block constructs (falls/sonst, versuche/fange, wiederhole/solange).
+ * Build the node chain for a sequence of lines, merging multi-block
+ * constructs (falls/sonst, versuche/fange, wiederhole/solange).
+ * The indentation of a nested block is taken from its first line, so any
+ * consistent indentation width works.
  */
-function mergeBlocks(lines, baseIndent, keywords) {
-  const blocks = groupBlocks(lines, baseIndent);
+function mergeBlocks(lines, keywords, diagnostics, baseIndent = firstIndent(lines)) {
+  const blocks = groupBlocks(lines, baseIndent, diagnostics);
   if (blocks.length === 0) return makeInsert(placeholder());
 
   const eTry = escapeRegex(keywords.try);
@@ -377,24 +434,37 @@ function mergeBlocks(lines, baseIndent, keywords) {
   const eWhile = escapeRegex(keywords.while);
   const eFor = escapeRegex(keywords.for);
   const eSwitch = escapeRegex(keywords.switch);
+  const eParallel = escapeRegex(keywords.parallel);
+  const eBranch = escapeRegex(keywords.branch);
   const eCase = escapeRegex(keywords.case);
   const eFunction = escapeRegex(keywords.function);
   const eInput = escapeRegex(keywords.input);
   const eOutput = escapeRegex(keywords.output);
-
-  const reTryBlock = new RegExp(`^${eTry}\\s*:$`, "i");
-  const reCatchPrefix = new RegExp(`^${eCatch}\\s+`, "i");
-  const reIfPrefix = new RegExp(`^${eIf}\\s+`, "i");
-  const reElseBlock = new RegExp(`^${eElse}\\s*:$`, "i");
-  const reRepeatBlock = new RegExp(`^${eRepeat}\\s*:$`, "i");
-  const reWhilePrefix = new RegExp(`^${eWhile}\\s+`, "i");
-  const reCountLoop = new RegExp(`^${eRepeat}\\s+${eFor}\\s+(.+)\\s*:$`, "i");
-  const reHeadLoop = new RegExp(`^${eRepeat}\\s+${eWhile}\\s+(.+)\\s*:$`, "i");
-  const reFuncDef = new RegExp(`^${eFunction}\\s+(\\w+)\\s*\\(([^)]*)\\)\\s*:$`, "i");
-  const reSwitchBlock = new RegExp(`^${eSwitch}\\s+(.+)\\s*:$`, "i");
-  const reCaseLabel = new RegExp(`^${eCase}\\s+(.+)\\s*:$`, "i");
-  const reInput = new RegExp(`^${eInput}\\s*\\(\\s*"?([^"]*)"?\\s*\\)$`, "i");
-  const reOutput = new RegExp(`^${eOutput}\\s*\\(\\s*"?([^"]*)"?\\s*\\)$`, "i");
+  const eCall = escapeRegex(keywords.call);
+  const eReturn = escapeRegex(keywords.return);
+  const eBreak = escapeRegex(keywords.break);
+  const eContinue = escapeRegex(keywords.continue);
+
+  const reTryBlock = new RegExp(`^${eTry}\\s*:$`, "ius");
+  const reCatchPrefix = new RegExp(`^${eCatch}\\s+`, "ius");
+  const reIfPrefix = new RegExp(`^${eIf}\\s+`, "ius");
+  const reElseBlock = new RegExp(`^${eElse}\\s*:$`, "ius");
+  const reElseIfPrefix = new RegExp(`^${eElse}\\s+${eIf}\\s+`, "ius");
+  const reRepeatBlock = new RegExp(`^${eRepeat}\\s*:$`, "ius");
+  const reWhilePrefix = new RegExp(`^${eWhile}\\s+`, "ius");
+  const reCountLoop = new RegExp(`^${eRepeat}\\s+${eFor}\\s+(.+)\\s*:$`, "ius");
+  const reHeadLoop = new RegExp(`^${eRepeat}\\s+${eWhile}\\s+(.+)\\s*:$`, "ius");
+  const reFuncDef = new RegExp(`^${eFunction}\\s+([\\p{L}\\p{N}_]+)\\s*\\(([^)]*)\\)\\s*:$`, "ius");
+  const reSwitchBlock = new RegExp(`^${eSwitch}\\s+(.+)\\s*:$`, "ius");
+  const reParallelBlock = new RegExp(`^${eParallel}(?=[\\s[:])(.*):$`, "ius");
+  const reBranchBlock = new RegExp(`^${eBranch}\\s*:$`, "ius");
+  const reCaseLabel = new RegExp(`^${eCase}\\s+(.+)\\s*:$`, "ius");
+  const reInput = new RegExp(`^${eInput}\\s*\\(\\s*"?([^"]*)"?\\s*\\)$`, "ius");
+  const reOutput = new RegExp(`^${eOutput}\\s*\\((.*)\\)$`, "ius");
+  const reCall = new RegExp(`^${eCall}\\s+(.+)$`, "ius");
+  const reReturn = new RegExp(`^${eReturn}(?:\\s+(.*))?$`, "ius");
+  const reBreak = new RegExp(`^${eBreak}$`, "ius");
+  const reContinue = new RegExp(`^${eContinue}$`, "ius");
 
   // First, parse all blocks individually
   const parsed = [];
@@ -408,8 +478,11 @@ function mergeBlocks(lines, baseIndent, keywords) {
     const nextText = parsed[i + 1].block.text;
     if (reTryBlock.test(text) && reCatchPrefix.test(nextText)) {
       parsed[i + 1]._skip = true;
-    } else if (reIfPrefix.test(text) && reElseBlock.test(nextText)) {
+    } else if ((reIfPrefix.test(text) || parsed[i]._elseIf) &&
+        (reElseBlock.test(nextText) || reElseIfPrefix.test(nextText))) {
+      // An else-if continues the ladder, so it may itself be followed by more
       parsed[i + 1]._skip = true;
+      parsed[i + 1]._elseIf = reElseIfPrefix.test(nextText);
     } else if (reRepeatBlock.test(text) && reWhilePrefix.test(nextText) && !nextText.endsWith(":")) {
       parsed[i + 1]._skip = true;
     }
@@ -430,17 +503,51 @@ function mergeBlocks(lines, baseIndent, keywords) {
 
     // --- try: + catch ...: ---
     if (reTryBlock.test(text) && nextBlock && reCatchPrefix.test(nextBlock.text)) {
-      const childIndent = baseIndent + 4;
-      const tryChild = mergeBlocks(block.children, childIndent, keywords);
+      const tryChild = mergeBlocks(block.children, keywords, diagnostics);
       const catchText = stripColon(nextBlock.text.replace(reCatchPrefix, ""));
-      const catchChild = mergeBlocks(nextBlock.children, childIndent, keywords);
+      const catchChild = mergeBlocks(nextBlock.children, keywords, diagnostics);
       const node = makeInsert({
         id: uid(), type: "TryCatchNode", text: catchText,
         tryChild,
         catchChild,
         followElement: tail,
       });
-      tail = node;
+      if (nextBlock.comment) node.followElement.catchComment = nextBlock.comment;
+      tail = located(node, block, nextBlock);
+      continue;
+    }
+
+    if (reIfPrefix.test(text) && !text.endsWith(":")) {
+      diagnostics.push(diagnostic(block, "warning", "missing-colon",
+        `'${keywords.if}' condition should end with ':'.`));
+    }
+
+    // --- if ...: + else if ...: (+ else:) — nested BranchNodes ---
+    if (reIfPrefix.test(text) && nextBlock && reElseIfPrefix.test(nextBlock.text)) {
+      // Collect the ladder: this block, every else-if, and an optional else
+      const rungs = [block];
+      let j = i + 1;
+      while (j < parsed.length && parsed[j]._elseIf) rungs.push(parsed[j++].block);
+      const elseBlock = j < parsed.length && parsed[j]._skip ? parsed[j].block : null;
+      const lastBlock = elseBlock || rungs[rungs.length - 1];
+
+      let falseChild = elseBlock
+        ? mergeBlocks(elseBlock.children, keywords, diagnostics)
+        : makeInsert(placeholder());
+      for (let r = rungs.length - 1; r >= 0; r--) {
+        const prefix = r === 0 ? reIfPrefix : reElseIfPrefix;
+        const { text: cond, columnWidths: cw } = extractColumnWidths(stripColon(rungs[r].text.replace(prefix, "")));
+        const branchNode = {
+          id: uid(), type: "BranchNode", text: cond,
+          trueChild: mergeBlocks(rungs[r].children, keywords, diagnostics),
+          falseChild,
+          followElement: r === 0 ? tail : makeInsert(null),
+        };
+        if (cw) branchNode.columnWidths = cw;
+        if (r === rungs.length - 1 && elseBlock && elseBlock.comment) branchNode.elseComment = elseBlock.comment;
+        falseChild = located(makeInsert(branchNode), rungs[r], lastBlock);
+      }
+      tail = falseChild;
       continue;
     }
 
@@ -448,9 +555,8 @@ function mergeBlocks(lines, baseIndent, keywords) {
     if (reIfPrefix.test(text) && nextBlock && reElseBlock.test(nextBlock.text)) {
       const rawCond = stripColon(text.replace(reIfPrefix, ""));
       const { text: cond, columnWidths: cw } = extractColumnWidths(rawCond);
-      const childIndent = baseIndent + 4;
-      const trueChild = mergeBlocks(block.children, childIndent, keywords);
-      const falseChild = mergeBlocks(nextBlock.children, childIndent, keywords);
+      const trueChild = mergeBlocks(block.children, keywords, diagnostics);
+      const falseChild = mergeBlocks(nextBlock.children, keywords, diagnostics);
       const branchNode = {
         id: uid(), type: "BranchNode", text: cond,
         trueChild,
@@ -458,8 +564,9 @@ function mergeBlocks(lines, baseIndent, keywords) {
         followElement: tail,
       };
       if (cw) branchNode.columnWidths = cw;
+      if (nextBlock.comment) branchNode.elseComment = nextBlock.comment;
       const node = makeInsert(branchNode);
-      tail = node;
+      tail = located(node, block, nextBlock);
       continue;
     }
 
@@ -467,8 +574,7 @@ function mergeBlocks(lines, baseIndent, keywords) {
     if (reIfPrefix.test(text)) {
       const rawCond = stripColon(text.replace(reIfPrefix, ""));
       const { text: cond, columnWidths: cw } = extractColumnWidths(rawCond);
-      const childIndent = baseIndent + 4;
-      const trueChild = mergeBlocks(block.children, childIndent, keywords);
+      const trueChild = mergeBlocks(block.children, keywords, diagnostics);
       const branchNode = {
         id: uid(), type: "BranchNode", text: cond,
         trueChild,
@@ -477,49 +583,48 @@ function mergeBlocks(lines, baseIndent, keywords) {
       };
       if (cw) branchNode.columnWidths = cw;
       const node = makeInsert(branchNode);
-      tail = node;
+      tail = located(node, block);
       continue;
     }
 
     // --- repeat: + while X (FootLoopNode) ---
     if (reRepeatBlock.test(text) && nextBlock && reWhilePrefix.test(nextBlock.text) && !nextBlock.text.endsWith(":")) {
       const cond = nextBlock.text.replace(reWhilePrefix, "").trim();
-      const childIndent = baseIndent + 4;
-      const childTree = mergeBlocks(block.children, childIndent, keywords);
+      const childTree = mergeBlocks(block.children, keywords, diagnostics);
       const node = makeInsert({
         id: uid(), type: "FootLoopNode", text: cond,
         child: childTree,
         followElement: tail,
       });
-      tail = node;
+      if (nextBlock.comment) node.followElement.conditionComment = nextBlock.comment;
+      tail = located(node, block, nextBlock);
       continue;
     }
 
     // --- repeat for ...: (CountLoopNode) ---
     const countMatch = text.match(reCountLoop);
     if (countMatch) {
-      const childIndent = baseIndent + 4;
-      const childTree = mergeBlocks(block.children, childIndent, keywords);
+      const childTree = mergeBlocks(block.children, keywords, diagnostics);
       const node = makeInsert({
         id: uid(), type: "CountLoopNode", text: countMatch[1],
+        ...parseCountLoop(countMatch[1], keywords),
         child: childTree,
         followElement: tail,
       });
-      tail = node;
+      tail = located(node, block);
       continue;
     }
 
     // --- repeat while ...: (HeadLoopNode) ---
     const headMatch = text.match(reHeadLoop);
     if (headMatch) {
-      const childIndent = baseIndent + 4;
-      const childTree = mergeBlocks(block.children, childIndent, keywords);
+      const childTree = mergeBlocks(block.children, keywords, diagnostics);
       const node = makeInsert({
         id: uid(), type: "HeadLoopNode", text: headMatch[1],
         child: childTree,
         followElement: tail,
       });
-      tail = node;
+      tail = located(node, block);
       continue;
     }
 
@@ -531,14 +636,44 @@ function mergeBlocks(lines, baseIndent, keywords) {
       const parameters = paramStr
         ? paramStr.split(",").map((p, idx) => ({ pos: String(idx * 3), parName: p.trim() }))
         : [];
-      const childIndent = baseIndent + 4;
-      const childTree = mergeBlocks(block.children, childIndent, keywords);
+      const childTree = mergeBlocks(block.children, keywords, diagnostics);
       const node = makeInsert({
         id: uid(), type: "FunctionNode", text: fname, parameters,
         child: childTree,
         followElement: tail,
       });
-      tail = node;
+      tail = located(node, block);
+      continue;
+    }
+
+    // --- parallel: (ParallelNode) ---
+    const parallelMatch = text.match(reParallelBlock);
+    if (parallelMatch) {
+      const { text: label, columnWidths: cw } = extractColumnWidths(parallelMatch[1].trim());
+      const branches = [];
+      for (const bb of groupBlocks(block.children, firstIndent(block.children), diagnostics)) {
+        if (reBranchBlock.test(bb.text)) {
+          const branch = mergeBlocks(bb.children, keywords, diagnostics);
+          // A branch has no node of its own; its comment goes to the first block
+          if (bb.comment && branch.followElement.type !== "Placeholder") {
+            const first = branch.followElement;
+            first.comment = first.comment ? bb.comment + "\n" + first.comment : bb.comment;
+          }
+          branches.push(branch);
+        } else {
+          diagnostics.push(diagnostic(bb, "error", "invalid-branch",
+            `Expected '${keywords.branch}:' inside '${keywords.parallel}'; block ignored.`));
+        }
+      }
+      while (branches.length < 2) branches.push(makeInsert(placeholder()));
+
+      const parallelNode = {
+        id: uid(), type: "ParallelNode", text: label,
+        branches,
+        followElement: tail,
+      };
+      if (cw) parallelNode.columnWidths = cw;
+      tail = located(makeInsert(parallelNode), block);
       continue;
     }
 
@@ -547,8 +682,7 @@ function mergeBlocks(lines, baseIndent, keywords) {
     if (caseNodeMatch) {
       const rawVar = caseNodeMatch[1];
       const { text: varName, columnWidths: cw } = extractColumnWidths(rawVar);
-      const childIndent = baseIndent + 4;
-      const caseBlocks = groupBlocks(block.children, childIndent);
+      const caseBlocks = groupBlocks(block.children, firstIndent(block.children), diagnostics);
       const cases = [];
       let defaultNode = null;
       let defaultOn = false;
@@ -556,21 +690,25 @@ function mergeBlocks(lines, baseIndent, keywords) {
       for (const cb of caseBlocks) {
         const fallMatch = cb.text.match(reCaseLabel);
         if (fallMatch) {
-          const caseChildIndent = childIndent + 4;
-          const caseBody = mergeBlocks(cb.children, caseChildIndent, keywords);
-          cases.push({
+          const caseBody = mergeBlocks(cb.children, keywords, diagnostics);
+          const insertCase = {
             id: uid(), type: "InsertCase",
             text: fallMatch[1].replace(/^"(.*)"$/, "$1"),
             followElement: caseBody,
-          });
+          };
+          addComment(insertCase, cb);
+          cases.push(insertCase);
         } else if (reElseBlock.test(cb.text)) {
           defaultOn = true;
-          const caseChildIndent = childIndent + 4;
-          const caseBody = mergeBlocks(cb.children, caseChildIndent, keywords);
+          const caseBody = mergeBlocks(cb.children, keywords, diagnostics);
           defaultNode = {
             id: uid(), type: "InsertCase", text: keywords.default,
             followElement: caseBody,
           };
+          addComment(defaultNode, cb);
+        } else {
+          diagnostics.push(diagnostic(cb, "error", "invalid-case",
+            `Expected '${keywords.case} ...:' or '${keywords.else}:' inside '${keywords.switch}'; block ignored.`));
         }
       }
       if (!defaultNode) {
@@ -587,40 +725,151 @@ function mergeBlocks(lines, baseIndent, keywords) {
       };
       if (cw) caseNode.columnWidths = cw;
       const node = makeInsert(caseNode);
-      tail = node;
+      tail = located(node, block);
       continue;
     }
 
     // --- input("...") → InputNode ---
     const inputMatch = text.match(reInput);
     if (inputMatch) {
-      tail = makeInsert({
+      tail = located(makeInsert({
         id: uid(), type: "InputNode", text: inputMatch[1],
         followElement: tail,
-      });
+      }), block);
       continue;
     }
 
-    // --- output("...") → OutputNode ---
+    // --- output(expression) → OutputNode; string literals keep their quotes ---
     const outputMatch = text.match(reOutput);
     if (outputMatch) {
-      tail = makeInsert({
-        id: uid(), type: "OutputNode", text: outputMatch[1],
+      tail = located(makeInsert({
+        id: uid(), type: "OutputNode", text: outputMatch[1].trim(),
         followElement: tail,
-      });
+      }), block);
+      continue;
+    }
+
+    // --- call name(args) → CallNode ---
+    const callMatch = text.match(reCall);
+    if (callMatch) {
+      tail = located(makeInsert({
+        id: uid(), type: "CallNode", text: callMatch[1].trim(),
+        followElement: tail,
+      }), block);
+      continue;
+    }
+
+    // --- return [value] → ReturnNode ---
+    const returnMatch = text.match(reReturn);
+    if (returnMatch) {
+      tail = located(makeInsert({
+        id: uid(), type: "ReturnNode", text: (returnMatch[1] || "").trim(),
+        followElement: tail,
+      }), block);
+      continue;
+    }
+
+    // --- break / continue → BreakNode / ContinueNode ---
+    if (reBreak.test(text) || reContinue.test(text)) {
+      tail = located(makeInsert({
+        id: uid(), type: reBreak.test(text) ? "BreakNode" : "ContinueNode", text: "",
+        followElement: tail,
+      }), block);
       continue;
     }
 
     // --- TaskNode (default) ---
+    if (reElseBlock.test(text) || reElseIfPrefix.test(text)) {
+      diagnostics.push(diagnostic(block, "error", "orphan-else",
+        `'${keywords.else}' without a preceding '${keywords.if} ...:' block.`));
+    } else if (reCatchPrefix.test(text)) {
+      diagnostics.push(diagnostic(block, "error", "orphan-catch",
+        `'${keywords.catch} ...:' without a preceding '${keywords.try}:' block.`));
+    } else if (reWhilePrefix.test(text) && !text.endsWith(":")) {
+      diagnostics.push(diagnostic(block, "error", "orphan-loop-footer",
+        `'${keywords.while} ...' footer without a preceding '${keywords.repeat}:' block.`));
+    } else if (reRepeatBlock.test(text)) {
+      diagnostics.push(diagnostic(block, "error", "missing-loop-footer",
+        `'${keywords.repeat}:' must be followed by a '${keywords.while} ...' line.`));
+    } else if (reTryBlock.test(text)) {
+      diagnostics.push(diagnostic(block, "error", "missing-catch",
+        `'${keywords.try}:' must be followed by a '${keywords.catch} ...:' block.`));
+    } else if (text.endsWith(":")) {
+      const word = text.split(/\s+/)[0].replace(/:$/, "");
+      const suggestion = suggestKeyword(word, keywords);
+      diagnostics.push(diagnostic(block, "warning", "unknown-block",
+        `Unknown block '${text}'.` + (suggestion ? ` Did you mean '${suggestion}'?` : "")));
+    }
+    if (block.children.length > 0) {
+      // A plain statement has no body: keep the indented lines as the
+      // statements that follow it
+      diagnostics.push(diagnostic(block.children[0], "warning", "unexpected-indent",
+        `Unexpected indentation; ${block.children.length} line(s) treated as following statements.`));
+      const body = mergeBlocks(block.children, keywords, diagnostics);
+      let last = body;
+      while (last.followElement && last.followElement.followElement) last = last.followElement.followElement;
+      last.followElement = tail.followElement;
+      tail = body;
+    }
     tail = makeInsert({
       id: uid(), type: "TaskNode", text: text,
+      source: { startLine: block.line, endLine: block.endLine },
       followElement: tail,
     });
+    addComment(tail.followElement, block);
   }
 
   return tail;
 }
 
+/**
+ * Split the text of a count loop into its parts.
+ * `i = 1 bis 10 schrittweite 2` gives { variable: "i", from: "1", to: "10", step: "2" };
+ * the step defaults to "1". `:=` and `←` are accepted for `=`.
+ * @param {string} text - Loop text without the `wiederhole für` prefix
+ * @param {Object} [keywords=KEYWORDS_DE] - Keyword map supplying `to` and `step`
+ * @returns {{variable: string, from: string, to: string, step: string}|null}
+ *   null when the text does not have this shape
+ */
+export function parseCountLoop(text, keywords = KEYWORDS_DE) {
+  const kw = { ...KEYWORDS_DE, ...keywords };
+  const re = new RegExp(
+    `^([\\p{L}_][\\p{L}\\p{N}_]*)\\s*(?::=|=|←)\\s*(.+?)\\s+${escapeRegex(kw.to)}\\s+(.+?)` +
+      `(?:\\s+${escapeRegex(kw.step)}\\s+(.+))?$`,
+    "iu",
+  );
+  const m = String(text || "").trim().match(re);
+  if (!m) return null;
+  return { variable: m[1], from: m[2].trim(), to: m[3].trim(), step: m[4] ? m[4].trim() : "1" };
+}
+
+/**
+ * Inverse of parseCountLoop: write the loop parts as text in the given language.
+ * @param {{variable: string, from: string, to: string, step?: string}} loop
+ * @param {Object} [keywords=KEYWORDS_DE]
+ * @returns {string}
+ */
+export function formatCountLoop(loop, keywords = KEYWORDS_DE) {
+  const kw = { ...KEYWORDS_DE, ...keywords };
+  const step = loop.step && loop.step !== "1" ? ` ${kw.step} ${loop.step}` : "";
+  return `${loop.variable} = ${loop.from} ${kw.to} ${loop.to}${step}`;
+}
+
+/**
+ * The variable, bounds and step of a CountLoopNode. Trees saved before these
+ * fields existed only have text, which is parsed in any registered language.
+ * @param {Object} node - A CountLoopNode
+ * @returns {{variable: string, from: string, to: string, step?: string}|null}
+ */
+export function countLoopFields(node) {
+  if (node.variable) return node;
+  for (const { lang } of getKeywordLanguages()) {
+    const loop = parseCountLoop(node.text, getKeywords(lang));
+    if (loop) return loop;
+  }
+  return null;
+}
+
 /**
  * Parse pseudocode string into a struktog tree.
  * @param {string} source - The pseudocode
@@ -628,11 +877,31 @@ function mergeBlocks(lines, baseIndent, keywords) {
  * @returns {Object} A struktog tree rooted at an InsertNode
  */
 export function parsePseudocode(source, keywords = KEYWORDS_DE) {
+  return parsePseudocodeWithDiagnostics(source, keywords).tree;
+}
+
+/**
+ * Parse pseudocode and report problems found along the way.
+ *
+ * The tree is built exactly as by `parsePseudocode`; every construct the
+ * parser had to guess about or ignore is listed in `diagnostics`, sorted
+ * by position.
+ *
+ * @param {string} source - The pseudocode
+ * @param {Object} [keywords=KEYWORDS_DE] - Keyword map for the source language
+ * @returns {{tree: Object, diagnostics: Array<{line: number, column: number, severity: "error"|"warning", message: string, code: string}>}}
+ */
+export function parsePseudocodeWithDiagnostics(source, keywords = KEYWORDS_DE) {
   _idCounter = 0;
-  const lines = tokenize(source);
-  if (lines.length === 0) return makeInsert(placeholder());
+  // Custom keyword maps may predate newer keywords — fill the gaps
+  keywords = { ...KEYWORDS_DE, ...keywords };
+  const diagnostics = [];
+  const lines = tokenize(source, diagnostics);
+  if (lines.length === 0) return { tree: makeInsert(placeholder()), diagnostics };
 
   // Determine base indent (minimum indent of all lines)
   const baseIndent = Math.min(...lines.map((l) => l.indent));
-  return mergeBlocks(lines, baseIndent, keywords);
+  const tree = mergeBlocks(lines, keywords, diagnostics, baseIndent);
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { tree, diagnostics };
 }
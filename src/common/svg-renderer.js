@@ -1,3 +1,6 @@
+import { nodeComment } from "./tree-ops.js";
+import { KEYWORDS_DE } from "./pseudocode-parser.js";
+
 const SVG_NS = "http://www.w3.org/2000/svg";
 
 const COLORS = {
@@ -6,6 +9,10 @@ const COLORS = {
       TaskNode: "rgb(253, 237, 206)",
       InputNode: "rgb(253, 237, 206)",
       OutputNode: "rgb(253, 237, 206)",
+      CallNode: "rgb(253, 237, 206)",
+      ReturnNode: "rgb(253, 237, 206)",
+      BreakNode: "rgb(253, 237, 206)",
+      ContinueNode: "rgb(253, 237, 206)",
       HeadLoopNode: "rgb(220, 239, 231)",
       CountLoopNode: "rgb(220, 239, 231)",
       FootLoopNode: "rgb(220, 239, 231)",
@@ -13,6 +20,7 @@ const COLORS = {
       CaseNode: "rgb(250, 218, 209)",
       InsertCase: "rgb(250, 218, 209)",
       TryCatchNode: "rgb(250, 218, 209)",
+      ParallelNode: "rgb(250, 218, 209)",
       FunctionNode: "rgb(255, 255, 255)",
     };
     return colors[type];
@@ -22,6 +30,10 @@ const COLORS = {
       TaskNode: "rgb(255, 255, 255)",
       InputNode: "rgb(255, 255, 255)",
       OutputNode: "rgb(255, 255, 255)",
+      CallNode: "rgb(255, 255, 255)",
+      ReturnNode: "rgb(255, 255, 255)",
+      BreakNode: "rgb(255, 255, 255)",
+      ContinueNode: "rgb(255, 255, 255)",
       HeadLoopNode: "rgb(255, 255, 255)",
       CountLoopNode: "rgb(255, 255, 255)",
       FootLoopNode: "rgb(255, 255, 255)",
@@ -29,6 +41,7 @@ const COLORS = {
       CaseNode: "rgb(255, 255, 255)",
       InsertCase: "rgb(255, 255, 255)",
       TryCatchNode: "rgb(255, 255, 255)",
+      ParallelNode: "rgb(255, 255, 255)",
       FunctionNode: "rgb(255, 255, 255)",
     };
     return colors[type] || "rgb(255, 255, 255)";
@@ -38,6 +51,10 @@ const COLORS = {
       TaskNode: "rgb(250, 250, 250)",
       InputNode: "rgb(250, 250, 250)",
       OutputNode: "rgb(250, 250, 250)",
+      CallNode: "rgb(250, 250, 250)",
+      ReturnNode: "rgb(250, 250, 250)",
+      BreakNode: "rgb(250, 250, 250)",
+      ContinueNode: "rgb(250, 250, 250)",
       HeadLoopNode: "rgb(245, 245, 245)",
       CountLoopNode: "rgb(245, 245, 245)",
       FootLoopNode: "rgb(245, 245, 245)",
@@ -45,6 +62,7 @@ const COLORS = {
       CaseNode: "rgb(240, 240, 240)",
       InsertCase: "rgb(240, 240, 240)",
       TryCatchNode: "rgb(240, 240, 240)",
+      ParallelNode: "rgb(240, 240, 240)",
       FunctionNode: "rgb(255, 255, 255)",
     };
     return colors[type];
@@ -52,6 +70,9 @@ const COLORS = {
 };
 
 let COLOR_MODE = "color";
+let SHOW_COMMENTS = false;
+// Keyword map of the diagram's pseudocode language, for the exit block words
+let KEYWORDS = KEYWORDS_DE;
 
 function getColor(nodeType) {
   return COLORS[COLOR_MODE](nodeType);
@@ -59,6 +80,10 @@ function getColor(nodeType) {
 
 const DEFAULT_ROW_HEIGHT = 40;
 const LOOP_INDENT = 20;
+const EXIT_INDENT = 14;
+const CALL_BAR = 8;
+const PARALLEL_SLANT = 14;
+const COMMENT_CORNER = 12;
 const PADDING_X = 8;
 const PADDING_Y = 6;
 const STROKE_COLOR = "#333";
@@ -124,6 +149,18 @@ function wrappedTextHeight(str, maxWidth, fontSize) {
   return Math.max(DEFAULT_ROW_HEIGHT, lines.length * lineH + PADDING_Y * 2);
 }
 
+/**
+ * Label shown inside an exit block (ReturnNode, BreakNode, ContinueNode),
+ * e.g. `zurück n` in German.
+ * @param {Object} node
+ * @param {Object} [keywords] - Keyword map; defaults to the one of the last render
+ */
+export function exitLabel(node, keywords = KEYWORDS) {
+  const key = { ReturnNode: "return", BreakNode: "break", ContinueNode: "continue" }[node.type];
+  const keyword = keywords[key] || KEYWORDS_DE[key];
+  return node.text ? keyword + " " + node.text : keyword;
+}
+
 function svgEl(tag, attrs = {}) {
   const el = document.createElementNS(SVG_NS, tag);
   for (const [k, v] of Object.entries(attrs)) {
@@ -193,6 +230,11 @@ function columnWidths(totalWidth, numCols, fractions) {
   return Array(numCols).fill(w);
 }
 
+/** Height of the top and bottom bands of a parallel block. */
+function parallelBarHeight(node, textW, fontSize) {
+  return wrappedTextHeight(node.text || "", textW - PARALLEL_SLANT * 2, fontSize);
+}
+
 /**
  * Recursively measure the height needed for a subtree.
  * Width is needed to compute text wrapping.
@@ -217,6 +259,16 @@ function measureHeight(node, fontSize, width) {
       const rowH = wrappedTextHeight(label, textW, fontSize);
       return rowH + measureHeight(node.followElement, fontSize, width);
     }
+    case "CallNode": {
+      const rowH = wrappedTextHeight(node.text || "", textW - CALL_BAR * 2, fontSize);
+      return rowH + measureHeight(node.followElement, fontSize, width);
+    }
+    case "ReturnNode":
+    case "BreakNode":
+    case "ContinueNode": {
+      const rowH = wrappedTextHeight(exitLabel(node), textW - EXIT_INDENT, fontSize);
+      return rowH + measureHeight(node.followElement, fontSize, width);
+    }
     case "InsertCase": {
       const rowH = wrappedTextHeight(node.text || "", textW, fontSize);
       return rowH + measureHeight(node.followElement, fontSize, width);
@@ -258,6 +310,17 @@ function measureHeight(node, fontSize, width) {
         headerH + maxChildH + measureHeight(node.followElement, fontSize, width)
       );
     }
+    case "ParallelNode": {
+      const barH = parallelBarHeight(node, textW, fontSize);
+      const colW = columnWidths(width, node.branches.length, node.columnWidths);
+      let maxChildH = 0;
+      node.branches.forEach((branch, i) => {
+        maxChildH = Math.max(maxChildH, measureHeight(branch, fontSize, colW[i]));
+      });
+      return (
+        barH * 2 + maxChildH + measureHeight(node.followElement, fontSize, width)
+      );
+    }
     case "HeadLoopNode":
     case "CountLoopNode": {
       const innerW = width - LOOP_INDENT;
@@ -330,6 +393,34 @@ function measureHeight(node, fontSize, width) {
  * Returns { elements: SVGElement[], height: number }
  */
 function renderNode(node, x, y, width, fontSize, availH) {
+  const result = renderBlock(node, x, y, width, fontSize, availH);
+  const comment = nodeComment(node);
+  if (SHOW_COMMENTS && comment) {
+    result.elements.push(commentMarker(comment, x + width, y));
+  }
+  return result;
+}
+
+/**
+ * Dog-ear in the top-right corner of a commented block; hovering it shows
+ * the comment as a tooltip.
+ */
+function commentMarker(comment, right, top) {
+  const s = COMMENT_CORNER;
+  const g = svgEl("g", { class: "comment" });
+  const title = svgEl("title");
+  title.textContent = comment;
+  g.appendChild(title);
+  g.appendChild(svgEl("path", {
+    d: `M ${right - s} ${top} L ${right} ${top + s} L ${right - s} ${top + s} Z`,
+    fill: "rgb(255, 244, 179)",
+    stroke: STROKE_COLOR,
+    "stroke-width": 1,
+  }));
+  return g;
+}
+
+function renderBlock(node, x, y, width, fontSize, availH) {
   if (!node) return { elements: [], height: 0 };
   const textW = width - PADDING_X * 2;
   const elements = [];
@@ -386,6 +477,93 @@ function renderNode(node, x, y, width, fontSize, availH) {
       };
     }
 
+    case "CallNode": {
+      // DIN 66261 call block: double vertical bars on both sides
+      const color = getColor(node.type);
+      const rowH = wrappedTextHeight(node.text || "", textW - CALL_BAR * 2, fontSize);
+
+      const followH = measureHeight(node.followElement, fontSize, width);
+      const naturalH = rowH + followH;
+      const stretchH =
+        availH != null && availH > naturalH ? rowH + (availH - naturalH) : rowH;
+
+      elements.push(bg(x, y, width, stretchH, color));
+      elements.push(ln(x, y, x + width, y));
+      elements.push(ln(x, y, x, y + stretchH));
+      elements.push(ln(x + CALL_BAR, y, x + CALL_BAR, y + rowH));
+      elements.push(
+        ln(x + width - CALL_BAR, y, x + width - CALL_BAR, y + rowH),
+      );
+      elements.push(
+        textEl(
+          node.text || "",
+          x + CALL_BAR + PADDING_X,
+          y,
+          rowH,
+          fontSize,
+          textW - CALL_BAR * 2,
+        ),
+      );
+
+      const remainH = availH != null ? availH - stretchH : undefined;
+      const follow = renderNode(
+        node.followElement,
+        x,
+        y + stretchH,
+        width,
+        fontSize,
+        remainH,
+      );
+      return {
+        elements: elements.concat(follow.elements),
+        height: stretchH + follow.height,
+      };
+    }
+
+    case "ReturnNode":
+    case "BreakNode":
+    case "ContinueNode": {
+      // DIN 66261 exit block: a wedge on the left points out of the structure
+      const color = getColor(node.type);
+      const label = exitLabel(node);
+      const rowH = wrappedTextHeight(label, textW - EXIT_INDENT, fontSize);
+
+      const followH = measureHeight(node.followElement, fontSize, width);
+      const naturalH = rowH + followH;
+      const stretchH =
+        availH != null && availH > naturalH ? rowH + (availH - naturalH) : rowH;
+
+      elements.push(bg(x, y, width, stretchH, color));
+      elements.push(ln(x, y, x + width, y));
+      elements.push(ln(x, y, x, y + stretchH));
+      elements.push(ln(x + EXIT_INDENT, y, x, y + rowH / 2));
+      elements.push(ln(x, y + rowH / 2, x + EXIT_INDENT, y + rowH));
+      elements.push(
+        textEl(
+          label,
+          x + EXIT_INDENT + PADDING_X,
+          y,
+          rowH,
+          fontSize,
+          textW - EXIT_INDENT,
+        ),
+      );
+
+      const remainH = availH != null ? availH - stretchH : undefined;
+      const follow = renderNode(
+        node.followElement,
+        x,
+        y + stretchH,
+        width,
+        fontSize,
+        remainH,
+      );
+      return {
+        elements: elements.concat(follow.elements),
+        height: stretchH + follow.height,
+      };
+    }
+
     case "InsertCase": {
       const color = getColor(node.type);
       const rowH = wrappedTextHeight(node.text || "", textW, fontSize);
@@ -648,6 +826,63 @@ function renderNode(node, x, y, width, fontSize, availH) {
       };
     }
 
+    case "ParallelNode": {
+      const color = getColor(node.type);
+      const numCols = node.branches.length;
+      const colW = columnWidths(width, numCols, node.columnWidths);
+      const barH = parallelBarHeight(node, textW, fontSize);
+
+      let maxChildH = 0;
+      node.branches.forEach((branch, i) => {
+        maxChildH = Math.max(maxChildH, measureHeight(branch, fontSize, colW[i]));
+      });
+      const followH = measureHeight(node.followElement, fontSize, width);
+      if (availH != null && availH > barH * 2 + maxChildH + followH) {
+        maxChildH = availH - barH * 2 - followH;
+      }
+      const bottomY = y + barH + maxChildH;
+
+      // Top band: trapezoid with diagonals from the outer corners inwards
+      elements.push(bg(x, y, width, barH, color));
+      elements.push(ln(x, y, x + width, y));
+      elements.push(ln(x, y, x, y + barH * 2 + maxChildH));
+      elements.push(ln(x, y, x + PARALLEL_SLANT, y + barH));
+      elements.push(ln(x + width, y, x + width - PARALLEL_SLANT, y + barH));
+      elements.push(
+        textEl(node.text || "", x + width / 2, y, barH, fontSize, textW - PARALLEL_SLANT * 2, "middle"),
+      );
+
+      // Branch columns
+      let curX = x;
+      node.branches.forEach((branch, i) => {
+        const branchResult = renderNode(branch, curX, y + barH, colW[i], fontSize, maxChildH);
+        elements.push(...branchResult.elements);
+        if (i > 0) elements.push(ln(curX, y + barH, curX, bottomY));
+        curX += colW[i];
+      });
+
+      // Bottom band: mirrored trapezoid
+      elements.push(bg(x, bottomY, width, barH, color));
+      elements.push(ln(x, bottomY, x + width, bottomY));
+      elements.push(ln(x, bottomY + barH, x + PARALLEL_SLANT, bottomY));
+      elements.push(ln(x + width, bottomY + barH, x + width - PARALLEL_SLANT, bottomY));
+
+      const totalH = barH * 2 + maxChildH;
+      const remainH = availH != null ? availH - totalH : undefined;
+      const follow = renderNode(
+        node.followElement,
+        x,
+        y + totalH,
+        width,
+        fontSize,
+        remainH,
+      );
+      return {
+        elements: elements.concat(follow.elements),
+        height: totalH + follow.height,
+      };
+    }
+
     case "HeadLoopNode":
     case "CountLoopNode": {
       const color = getColor(node.type);
@@ -926,6 +1161,8 @@ function renderNode(node, x, y, width, fontSize, availH) {
  * @param {number} [options.width=600] - SVG coordinate width (used for layout calculations)
  * @param {number} [options.fontSize=14] - Font size in px
  * @param {string} [options.colorMode] - "color" (default) or "bw" for black-and-white colors
+ * @param {boolean} [options.showComments=false] - Mark commented blocks with a dog-ear that shows the comment on hover
+ * @param {Object} [options.keywords=KEYWORDS_DE] - Keyword map of the pseudocode language, for the words in exit blocks
  * @returns {SVGSVGElement}
  */
 export function renderStructogramSVG(tree, options = {}) {
@@ -934,6 +1171,8 @@ export function renderStructogramSVG(tree, options = {}) {
   if (options.colorMode && COLORS[options.colorMode]) {
     COLOR_MODE = options.colorMode;
   }
+  SHOW_COMMENTS = !!options.showComments;
+  KEYWORDS = options.keywords || KEYWORDS_DE;
 
   const totalHeight = measureHeight(tree, fontSize, width);
   const h = totalHeight || 40;
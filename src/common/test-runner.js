@@ -0,0 +1,91 @@
+/**
+ * Test cases for structograms.
+ *
+ * A test case lists the values the InputNodes read, in order, and the lines
+ * the OutputNodes are expected to print:
+ *
+ *   { name: "Fakultät von 5", input: ["5"], output: ["120"] }
+ *
+ * runTests runs the diagram once per case with the Interpreter and compares
+ * the printed lines with the expected ones; trailing spaces do not count.
+ * Saved structograms keep their test cases in a `tests` array on the root
+ * node.
+ */
+
+import { Interpreter } from "./interpreter.js";
+
+/**
+ * Bring a test case into the stored form; input and output may also be
+ * given as text with one value per line.
+ * @param {Object} test
+ * @returns {{name: string, input: string[], output: string[]}}
+ */
+export function normalizeTestCase(test = {}) {
+  const lines = (value) => {
+    if (Array.isArray(value)) return value.map(String);
+    const text = value == null ? "" : String(value).replace(/\n+$/, "");
+    return text === "" ? [] : text.split("\n");
+  };
+  return { name: String(test.name || ""), input: lines(test.input), output: lines(test.output) };
+}
+
+/**
+ * Run a diagram against test cases.
+ * @param {Object} tree - The struktog tree
+ * @param {Object[]} tests - Test cases (see normalizeTestCase)
+ * @param {Object} [options] - Passed on to the Interpreter, e.g. `keywords`
+ * @returns {Array<{name: string, passed: boolean, input: string[],
+ *   expected: string[], actual: string[], diff: Array<{type: string,
+ *   text: string}>, error: {nodeId: string, message: string}|null}>}
+ *   One result per test case. `diff` lists the lines of both outputs:
+ *   "same" lines were printed as expected, "missing" ones were expected
+ *   but not printed, "extra" ones were printed but not expected. A program
+ *   that fails or asks for more input than the case gives does not pass.
+ */
+export function runTests(tree, tests, options = {}) {
+  return tests.map((test) => {
+    const { name, input, output: expected } = normalizeTestCase(test);
+    const state = new Interpreter(tree, { ...options, input }).run();
+    const actual = state.output;
+    let error = state.error;
+    if (state.status === "waiting") {
+      error = { nodeId: state.nodeId, message: "The program reads more input than the test case gives" };
+    }
+    const diff = diffLines(expected.map(trimLine), actual.map(trimLine));
+    const passed = !error && diff.every((line) => line.type === "same");
+    return { name, passed, input, expected, actual, diff, error };
+  });
+}
+
+function trimLine(line) {
+  return String(line).replace(/\s+$/, "");
+}
+
+/** Line diff of two outputs along their longest common subsequence. */
+function diffLines(expected, actual) {
+  // lengths[i][j]: common lines of expected[i..] and actual[j..]
+  const lengths = expected.map(() => new Array(actual.length + 1).fill(0));
+  lengths.push(new Array(actual.length + 1).fill(0));
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = actual.length - 1; j >= 0; j--) {
+      lengths[i][j] = expected[i] === actual[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+      diff.push({ type: "same", text: expected[i] });
+      i++;
+      j++;
+    } else if (j < actual.length && (i === expected.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      diff.push({ type: "extra", text: actual[j++] });
+    } else {
+      diff.push({ type: "missing", text: expected[i++] });
+    }
+  }
+  return diff;
+}
@@ -0,0 +1,144 @@
+/**
+ * Trace tables (Schreibtischtest) for struktog trees.
+ *
+ * A trace table follows one run of the diagram: one row per executed step
+ * with the text of the node, one column per variable, and the lines the
+ * step printed.
+ *
+ *   Step | Block        | n | i | s | Output
+ *   1    | Zahl n       | 3 |   |   |
+ *   2    | s = 0        |   |   | 0 |
+ *   3    | i = 1 bis n  |   | 1 |   |
+ *   …
+ *
+ * Variables of a function get a column per function, keyed like the type
+ * overrides of inferTypes: `n` in the main program, `fak.n` in fak.
+ * Cells can be blanked to turn the table into a worksheet; a blanked cell
+ * is addressed as `"<step>:<column key>"`, e.g. `"3:i"` or `"5:output"`.
+ */
+
+import { Interpreter } from "./interpreter.js";
+import { ensureIds, findNode } from "./tree-ops.js";
+import { KEYWORDS_DE } from "./pseudocode-parser.js";
+
+/**
+ * Run a diagram and record every step.
+ * @param {Object} tree - The struktog tree
+ * @param {Object} [options] - Passed on to the Interpreter, e.g. `input`
+ *   and `keywords`
+ * @param {number} [options.maxSteps=1000] - Rows after which the run stops
+ * @returns {{columns: string[], rows: Array<{step: number, nodeId: string,
+ *   text: string, values: Object, changed: string[], output: string[]}>,
+ *   status: string, error: {nodeId: string, message: string}|null}}
+ *   `columns` are the variable keys in the order they first got a value.
+ *   `values` holds the value of every variable known after the step and
+ *   `changed` the ones the step assigned. `status` is the interpreter's at
+ *   the end: "done", "waiting" if the input ran out, or "error".
+ */
+export function traceTable(tree, options = {}) {
+  const maxSteps = options.maxSteps || 1000;
+  const program = ensureIds(tree);
+  const run = new Interpreter(program, options);
+  const columns = [];
+  const values = {};
+  const rows = [];
+  let state = run.step();
+  while (state.status === "running") {
+    if (rows.length >= maxSteps) {
+      const message = `Stopped after ${maxSteps} steps; is there an endless loop?`;
+      return { columns, rows, status: "error", error: { nodeId: state.nodeId, message } };
+    }
+    const node = findNode(program, state.nodeId);
+    const printed = state.output.length;
+    state = run.step();
+    // A node that waits for input or fails did not run
+    if (state.status === "waiting" || state.status === "error") break;
+
+    const changed = [];
+    for (const [name, value] of Object.entries(state.variables)) {
+      const key = state.scope ? `${state.scope}.${name}` : name;
+      if (key in values && JSON.stringify(values[key]) === JSON.stringify(value)) continue;
+      if (!columns.includes(key)) columns.push(key);
+      values[key] = value;
+      changed.push(key);
+    }
+    rows.push({
+      step: rows.length + 1,
+      nodeId: node ? node.id : null,
+      text: node ? node.text || "" : "",
+      values: { ...values },
+      changed,
+      output: state.output.slice(printed),
+    });
+  }
+  return { columns, rows, status: state.status, error: state.error };
+}
+
+/**
+ * The cells of a trace table as text, the way the exports write them.
+ * @param {Object} table - From traceTable
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.blank] - Cells to leave empty, as
+ *   `"<step>:<column key>"`; the columns "text" and "output" can be
+ *   blanked too
+ * @param {boolean} [options.changesOnly=true] - Write a variable only in
+ *   the rows that assign it; false repeats the current value in every row
+ * @param {Object} [options.keywords=KEYWORDS_DE] - Words for true and false
+ * @returns {{header: string[], rows: Array<Array<{key: string, text: string}>>}}
+ */
+export function traceTableCells(table, options = {}) {
+  const { changesOnly = true, keywords = KEYWORDS_DE } = options;
+  const blank = new Set(options.blank || []);
+  const format = (value) => {
+    if (value === true) return keywords.true;
+    if (value === false) return keywords.false;
+    if (typeof value === "string") return `"${value}"`;
+    if (Array.isArray(value)) return "[" + value.map(format).join(", ") + "]";
+    return value == null ? "" : String(value);
+  };
+  const rows = table.rows.map((row) => {
+    const cells = [
+      { key: "step", text: String(row.step) },
+      { key: "text", text: row.text },
+      ...table.columns.map((key) => {
+        const shown = key in row.values && (!changesOnly || row.changed.includes(key));
+        return { key, text: shown ? format(row.values[key]) : "" };
+      }),
+      { key: "output", text: row.output.join("\n") },
+    ];
+    return cells.map((cell) => (blank.has(`${row.step}:${cell.key}`) ? { ...cell, text: "" } : cell));
+  });
+  return { header: ["Step", "Block", ...table.columns, "Output"], rows };
+}
+
+/**
+ * Write a trace table as CSV, Markdown or HTML.
+ * @param {Object} table - From traceTable
+ * @param {string} format - "csv", "markdown" or "html"
+ * @param {Object} [options] - See traceTableCells
+ * @returns {string}
+ */
+export function formatTraceTable(table, format, options = {}) {
+  const { header, rows } = traceTableCells(table, options);
+  const lines = rows.map((row) => row.map((cell) => cell.text));
+  switch (format) {
+    case "csv": {
+      const quote = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+      return [header, ...lines].map((line) => line.map(quote).join(",")).join("\n") + "\n";
+    }
+    case "markdown": {
+      const escape = (text) => text.replace(/\|/g, "\\|").replace(/\n/g, "<br>");
+      const line = (cells) => "| " + cells.map(escape).join(" | ") + " |";
+      return [line(header), line(header.map(() => "---")), ...lines.map(line)].join("\n") + "\n";
+    }
+    case "html": {
+      const escape = (text) =>
+        text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\n/g, "<br>");
+      const row = (cells, tag) => "    <tr>" + cells.map((c) => `<${tag}>${escape(c)}</${tag}>`).join("") + "</tr>\n";
+      return '<table class="trace-table">\n  <thead>\n' + row(header, "th") + "  </thead>\n  <tbody>\n" +
+        lines.map((cells) => row(cells, "td")).join("") + "  </tbody>\n</table>\n";
+    }
+    default:
+      throw new Error(`Unsupported trace table format: ${format}`);
+  }
+}
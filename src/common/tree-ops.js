@@ -32,6 +32,12 @@ export function findNode(tree, id) {
       if (found) return found;
     }
   }
+  if (tree.branches) {
+    for (const b of tree.branches) {
+      const found = findNode(b, id);
+      if (found) return found;
+    }
+  }
   if (tree.defaultNode) {
     const found = findNode(tree.defaultNode, id);
     if (found) return found;
@@ -39,6 +45,56 @@ export function findNode(tree, id) {
   return null;
 }
 
+/**
+ * Find the FunctionNode a CallNode refers to, matching the name in front of
+ * the argument list (e.g. "fakultaet(5)" → FunctionNode "fakultaet").
+ * Returns the FunctionNode or null.
+ */
+export function findFunctionDefinition(tree, callText) {
+  const match = (callText || "").match(/^\s*([^\s(]+)/);
+  if (!match) return null;
+  const name = match[1];
+  let found = null;
+  (function walk(node) {
+    if (!node || found) return;
+    if (node.type === "FunctionNode" && (node.text || "").trim() === name) {
+      found = node;
+      return;
+    }
+    for (const key of ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild"]) {
+      if (node[key]) walk(node[key]);
+    }
+    if (node.cases) node.cases.forEach(walk);
+    if (node.branches) node.branches.forEach(walk);
+    if (node.defaultNode) walk(node.defaultNode);
+  })(tree);
+  return found;
+}
+
+/**
+ * If a chain holds nothing but a single BranchNode, return that node.
+ * A BranchNode in this position of a false branch is an else-if.
+ */
+export function soleBranch(chain) {
+  const skip = (n) => {
+    while (n && n.type === "InsertNode") n = n.followElement;
+    return n;
+  };
+  const first = skip(chain);
+  if (!first || first.type !== "BranchNode") return null;
+  const rest = skip(first.followElement);
+  return !rest || rest.type === "Placeholder" ? first : null;
+}
+
+/**
+ * All comments of a node: its own and those written above its else, catch
+ * or loop condition line (`elseComment`, `catchComment`, `conditionComment`).
+ */
+export function nodeComment(node) {
+  if (!node) return "";
+  return [node.comment, node.elseComment, node.catchComment, node.conditionComment].filter(Boolean).join("\n");
+}
+
 /** Find the parent of a node by id. Returns { parent, key, index } or null. */
 export function findParent(tree, id, parent = null, key = null, index = null) {
   if (!tree) return null;
@@ -55,6 +111,12 @@ export function findParent(tree, id, parent = null, key = null, index = null) {
       if (found) return found;
     }
   }
+  if (tree.branches) {
+    for (let i = 0; i < tree.branches.length; i++) {
+      const found = findParent(tree.branches[i], id, tree, "branches", i);
+      if (found) return found;
+    }
+  }
   if (tree.defaultNode) {
     const found = findParent(tree.defaultNode, id, tree, "defaultNode");
     if (found) return found;
@@ -75,7 +137,15 @@ export function createNode(type) {
     case "InputNode":
       return { id, type: "InputNode", text: "Eingabe", followElement: null };
     case "OutputNode":
-      return { id, type: "OutputNode", text: "Ausgabe", followElement: null };
+      return { id, type: "OutputNode", text: '"Ausgabe"', followElement: null };
+    case "CallNode":
+      return { id, type: "CallNode", text: "funktion()", followElement: null };
+    case "ReturnNode":
+      return { id, type: "ReturnNode", text: "Wert", followElement: null };
+    case "BreakNode":
+      return { id, type: "BreakNode", text: "", followElement: null };
+    case "ContinueNode":
+      return { id, type: "ContinueNode", text: "", followElement: null };
     case "BranchNode":
       return {
         id, type: "BranchNode", text: "Bedingung",
@@ -103,6 +173,15 @@ export function createNode(type) {
         ],
         followElement: null,
       };
+    case "ParallelNode":
+      return {
+        id, type: "ParallelNode", text: "",
+        branches: [
+          { id: genId(), type: "InsertNode", followElement: { type: "Placeholder" } },
+          { id: genId(), type: "InsertNode", followElement: { type: "Placeholder" } },
+        ],
+        followElement: null,
+      };
     case "HeadLoopNode":
       return {
         id, type: "HeadLoopNode", text: "Bedingung",
@@ -112,6 +191,7 @@ export function createNode(type) {
     case "CountLoopNode":
       return {
         id, type: "CountLoopNode", text: "i = 1 bis 10",
+        variable: "i", from: "1", to: "10", step: "1",
         child: { id: genId(), type: "InsertNode", followElement: { type: "Placeholder" } },
         followElement: null,
       };
@@ -203,6 +283,31 @@ export function editText(tree, nodeId, newText) {
   const root = cloneTree(tree);
   const node = findNode(root, nodeId);
   if (node) node.text = newText;
+  // Free text replaces the structured parts of a count loop
+  if (node && node.type === "CountLoopNode") {
+    delete node.variable;
+    delete node.from;
+    delete node.to;
+    delete node.step;
+  }
+  return root;
+}
+
+/**
+ * Set the variable, bounds and step of a count loop together with the text
+ * shown in the diagram.
+ * @param {Object} tree
+ * @param {string} nodeId
+ * @param {{variable: string, from: string, to: string, step: string}} loop
+ * @param {string} text - The loop as written in the current pseudocode language
+ */
+export function editCountLoop(tree, nodeId, loop, text) {
+  const root = cloneTree(tree);
+  const node = findNode(root, nodeId);
+  if (node) {
+    const { variable, from, to, step } = loop;
+    Object.assign(node, { text, variable, from, to, step: step || "1" });
+  }
   return root;
 }
 
@@ -254,6 +359,7 @@ export function collectInsertPoints(tree) {
       if (node[key]) walk(node[key]);
     }
     if (node.cases) node.cases.forEach(walk);
+    if (node.branches) node.branches.forEach(walk);
     if (node.defaultNode) walk(node.defaultNode);
   }
   walk(tree);
@@ -312,6 +418,9 @@ function _wrapContent(node) {
       }
     }
   }
+  if (node.branches) {
+    node.branches = node.branches.map(_wrapChain);
+  }
   if (node.defaultNode) {
     if (node.defaultNode.type === "InsertCase") {
       node.defaultNode.followElement = _wrapChain(node.defaultNode.followElement);
@@ -343,6 +452,7 @@ export function ensureIds(tree) {
       if (node[key]) walk(node[key]);
     }
     if (node.cases) node.cases.forEach(walk);
+    if (node.branches) node.branches.forEach(walk);
     if (node.defaultNode) walk(node.defaultNode);
   }
   walk(root);
@@ -377,6 +487,10 @@ function _stripChain(node) {
       return _stripChain(c);
     }).filter(Boolean);
   }
+  if (node.branches) {
+    // Keep empty branches as null so the column count is preserved
+    node.branches = node.branches.map(_stripChain);
+  }
   if (node.defaultNode) {
     if (node.defaultNode.type === "InsertCase") {
       node.defaultNode.followElement = _stripChain(node.defaultNode.followElement);
@@ -386,7 +500,7 @@ function _stripChain(node) {
   }
 
   node.followElement = _stripChain(node.followElement);
-  // Remove internal IDs
+  // Remove internal IDs and parser source positions
   delete node.id;
   _cleanIds(node);
   return node;
@@ -395,10 +509,12 @@ function _stripChain(node) {
 function _cleanIds(node) {
   if (!node) return;
   delete node.id;
+  delete node.source;
   for (const key of ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild"]) {
     if (node[key]) _cleanIds(node[key]);
   }
   if (node.cases) node.cases.forEach(_cleanIds);
+  if (node.branches) node.branches.forEach(_cleanIds);
   if (node.defaultNode) _cleanIds(node.defaultNode);
 }
 
@@ -443,6 +559,40 @@ export function removeCase(tree, caseId) {
   return root;
 }
 
+/**
+ * Add a new branch to a ParallelNode. Returns a new tree.
+ */
+export function addBranch(tree, parallelNodeId) {
+  const root = cloneTree(tree);
+  const node = findNode(root, parallelNodeId);
+  if (!node || node.type !== "ParallelNode") return root;
+
+  node.branches.push({
+    id: genId(), type: "InsertNode",
+    followElement: { type: "Placeholder" },
+  });
+  node.columnWidths = _equalWidths(node.branches.length);
+  return root;
+}
+
+/**
+ * Remove a branch from a ParallelNode by the id of the InsertNode that
+ * starts the branch. Keeps at least two branches. Returns a new tree.
+ */
+export function removeBranch(tree, branchId) {
+  const root = cloneTree(tree);
+  const info = findParent(root, branchId);
+  if (!info || info.key !== "branches" || info.index == null) return root;
+
+  const parallelNode = info.parent;
+  if (!parallelNode || parallelNode.type !== "ParallelNode") return root;
+  if (parallelNode.branches.length <= 2) return root;
+
+  parallelNode.branches.splice(info.index, 1);
+  parallelNode.columnWidths = _equalWidths(parallelNode.branches.length);
+  return root;
+}
+
 function _equalWidths(n) {
   const frac = Math.round((1 / n) * 10000) / 10000;
   const widths = Array(n).fill(frac);
@@ -467,8 +617,29 @@ export function collectEditableNodes(tree) {
       if (node[key]) walk(node[key]);
     }
     if (node.cases) node.cases.forEach(walk);
+    if (node.branches) node.branches.forEach(walk);
     if (node.defaultNode) walk(node.defaultNode);
   }
   walk(tree);
   return nodes;
 }
+
+/**
+ * Collect the source line ranges recorded by the pseudocode parser.
+ * Returns a Map of nodeId → { startLine, endLine } (1-based, inclusive).
+ */
+export function collectSourcePositions(tree) {
+  const positions = new Map();
+  function walk(node) {
+    if (!node) return;
+    if (node.id && node.source) positions.set(node.id, node.source);
+    for (const key of ["followElement", "trueChild", "falseChild", "child", "tryChild", "catchChild"]) {
+      if (node[key]) walk(node[key]);
+    }
+    if (node.cases) node.cases.forEach(walk);
+    if (node.branches) node.branches.forEach(walk);
+    if (node.defaultNode) walk(node.defaultNode);
+  }
+  walk(tree);
+  return positions;
+}
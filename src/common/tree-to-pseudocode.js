@@ -3,7 +3,8 @@
  * Inverse of parsePseudocode.
  */
 
-import { KEYWORDS_DE } from "./pseudocode-parser.js";
+import { KEYWORDS_DE, formatCountLoop } from "./pseudocode-parser.js";
+import { soleBranch } from "./tree-ops.js";
 
 const INDENT = "    ";
 
@@ -11,11 +12,13 @@ const INDENT = "    ";
  * Convert a struktog tree to pseudocode string.
  * @param {Object} tree - The struktog tree
  * @param {Object} [keywords] - Keyword map (defaults to KEYWORDS_DE)
+ * @param {Map<string, {startLine: number, endLine: number}>} [sourceMap] -
+ *   When given, filled with the 1-based line range written for each node id
  * @returns {string} Pseudocode text
  */
-export function treeToPseudocode(tree, keywords = KEYWORDS_DE) {
+export function treeToPseudocode(tree, keywords = KEYWORDS_DE, sourceMap = null) {
   const lines = [];
-  serialize(tree, 0, lines, keywords);
+  serialize(tree, 0, lines, { ...KEYWORDS_DE, ...keywords }, sourceMap);
   return lines.join("\n");
 }
 
@@ -23,6 +26,15 @@ function ind(level) {
   return INDENT.repeat(level);
 }
 
+/** Push one pseudocode line; newlines in node text become `\` continuations. */
+function emit(lines, level, str) {
+  const parts = str.split("\n");
+  parts.forEach((part, i) => {
+    const last = i === parts.length - 1;
+    lines.push(ind(i === 0 ? level : level + 1) + part + (last ? "" : "\\"));
+  });
+}
+
 function colWidthSuffix(node) {
   if (node.columnWidths && node.columnWidths.length > 0) {
     return " [" + node.columnWidths.join(", ") + "]";
@@ -30,89 +42,148 @@ function colWidthSuffix(node) {
   return "";
 }
 
-function serialize(node, level, lines, kw) {
-  if (!node) return;
+/** Write a node comment as `#` lines above the node. */
+function emitComment(lines, level, comment) {
+  if (!comment) return;
+  for (const part of comment.split("\n")) {
+    lines.push(ind(level) + (part ? "# " + part : "#"));
+  }
+}
 
+/** Serialize a node and everything that follows it at the same level. */
+function serialize(node, level, lines, kw, sourceMap) {
+  for (let cur = node; cur; cur = cur.followElement) {
+    emitComment(lines, level, cur.comment);
+    const start = lines.length;
+    serializeNode(cur, level, lines, kw, sourceMap);
+    if (sourceMap && cur.id && lines.length > start) {
+      sourceMap.set(cur.id, { startLine: start + 1, endLine: lines.length });
+    }
+  }
+}
+
+function serializeNode(node, level, lines, kw, sourceMap) {
   switch (node.type) {
     case "InsertNode":
-      serialize(node.followElement, level, lines, kw);
       return;
 
     case "Placeholder":
       return;
 
     case "TaskNode":
-      lines.push(ind(level) + (node.text || ""));
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, (node.text || ""));
       return;
 
     case "InputNode":
-      lines.push(ind(level) + kw.input + '("' + (node.text || "") + '")');
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.input + '("' + (node.text || "") + '")');
       return;
 
     case "OutputNode":
-      lines.push(ind(level) + kw.output + '("' + (node.text || "") + '")');
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.output + "(" + (node.text || "") + ")");
+      return;
+
+    case "CallNode":
+      emit(lines, level, kw.call + " " + (node.text || ""));
       return;
 
-    case "BranchNode":
-      lines.push(ind(level) + kw.if + " " + (node.text || "") + colWidthSuffix(node) + ":");
-      serialize(node.trueChild, level + 1, lines, kw);
-      lines.push(ind(level) + kw.else + ":");
-      serialize(node.falseChild, level + 1, lines, kw);
-      serialize(node.followElement, level, lines, kw);
+    case "ReturnNode":
+      emit(lines, level, kw.return + (node.text ? " " + node.text : ""));
       return;
 
+    case "BreakNode":
+      emit(lines, level, kw.break);
+      return;
+
+    case "ContinueNode":
+      emit(lines, level, kw.continue);
+      return;
+
+    case "BranchNode": {
+      // A false branch holding only another BranchNode is written as else-if
+      const elseIfs = [];
+      let branch = node;
+      let head = kw.if;
+      for (;;) {
+        emit(lines, level, head + " " + (branch.text || "") + colWidthSuffix(branch) + ":");
+        serialize(branch.trueChild, level + 1, lines, kw, sourceMap);
+        const next = soleBranch(branch.falseChild);
+        if (!next) break;
+        emitComment(lines, level, next.comment);
+        elseIfs.push({ id: next.id, startLine: lines.length + 1 });
+        branch = next;
+        head = kw.else + " " + kw.if;
+      }
+      emitComment(lines, level, branch.elseComment);
+      emit(lines, level, kw.else + ":");
+      serialize(branch.falseChild, level + 1, lines, kw, sourceMap);
+      if (sourceMap) {
+        for (const { id, startLine } of elseIfs) {
+          if (id) sourceMap.set(id, { startLine, endLine: lines.length });
+        }
+      }
+      return;
+    }
+
     case "CaseNode": {
-      lines.push(ind(level) + kw.switch + " " + (node.text || "") + colWidthSuffix(node) + ":");
+      emit(lines, level, kw.switch + " " + (node.text || "") + colWidthSuffix(node) + ":");
       if (node.cases) {
         for (const c of node.cases) {
-          lines.push(ind(level + 1) + kw.case + " " + c.text + ":");
-          serialize(c.followElement, level + 2, lines, kw);
+          emitComment(lines, level + 1, c.comment);
+          emit(lines, level + 1, kw.case + " " + c.text + ":");
+          serialize(c.followElement, level + 2, lines, kw, sourceMap);
         }
       }
       if (node.defaultOn && node.defaultNode) {
-        lines.push(ind(level + 1) + kw.else + ":");
-        serialize(node.defaultNode.followElement, level + 2, lines, kw);
+        emitComment(lines, level + 1, node.defaultNode.comment);
+        emit(lines, level + 1, kw.else + ":");
+        serialize(node.defaultNode.followElement, level + 2, lines, kw, sourceMap);
+      }
+      return;
+    }
+
+    case "ParallelNode": {
+      const label = node.text ? " " + node.text : "";
+      emit(lines, level, kw.parallel + label + colWidthSuffix(node) + ":");
+      for (const branch of node.branches || []) {
+        emit(lines, level + 1, kw.branch + ":");
+        serialize(branch, level + 2, lines, kw, sourceMap);
       }
-      serialize(node.followElement, level, lines, kw);
       return;
     }
 
     case "HeadLoopNode":
-      lines.push(ind(level) + kw.repeat + " " + kw.while + " " + (node.text || "") + ":");
-      serialize(node.child, level + 1, lines, kw);
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.repeat + " " + kw.while + " " + (node.text || "") + ":");
+      serialize(node.child, level + 1, lines, kw, sourceMap);
       return;
 
-    case "CountLoopNode":
-      lines.push(ind(level) + kw.repeat + " " + kw.for + " " + (node.text || "") + ":");
-      serialize(node.child, level + 1, lines, kw);
-      serialize(node.followElement, level, lines, kw);
+    case "CountLoopNode": {
+      // Structured loops are written in the target language's keywords
+      const head = node.variable ? formatCountLoop(node, kw) : (node.text || "");
+      emit(lines, level, kw.repeat + " " + kw.for + " " + head + ":");
+      serialize(node.child, level + 1, lines, kw, sourceMap);
       return;
+    }
 
     case "FootLoopNode":
-      lines.push(ind(level) + kw.repeat + ":");
-      serialize(node.child, level + 1, lines, kw);
-      lines.push(ind(level) + kw.while + " " + (node.text || ""));
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.repeat + ":");
+      serialize(node.child, level + 1, lines, kw, sourceMap);
+      emitComment(lines, level, node.conditionComment);
+      emit(lines, level, kw.while + " " + (node.text || ""));
       return;
 
     case "FunctionNode": {
       const params = (node.parameters || []).map(p => p.parName).join(", ");
-      lines.push(ind(level) + kw.function + " " + (node.text || "") + "(" + params + "):");
-      serialize(node.child, level + 1, lines, kw);
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.function + " " + (node.text || "") + "(" + params + "):");
+      serialize(node.child, level + 1, lines, kw, sourceMap);
       return;
     }
 
     case "TryCatchNode":
-      lines.push(ind(level) + kw.try + ":");
-      serialize(node.tryChild, level + 1, lines, kw);
-      lines.push(ind(level) + kw.catch + " " + (node.text || "") + ":");
-      serialize(node.catchChild, level + 1, lines, kw);
-      serialize(node.followElement, level, lines, kw);
+      emit(lines, level, kw.try + ":");
+      serialize(node.tryChild, level + 1, lines, kw, sourceMap);
+      emitComment(lines, level, node.catchComment);
+      emit(lines, level, kw.catch + " " + (node.text || "") + ":");
+      serialize(node.catchChild, level + 1, lines, kw, sourceMap);
       return;
 
     default:
@@ -0,0 +1,324 @@
+/**
+ * Variable type inference for struktog trees.
+ *
+ * Node texts carry no types, but statically typed targets need declarations.
+ * The type of each variable is inferred from what the diagram does with it:
+ *
+ *   x ← 0   x ← 0.5   x ← "a"   x ← Wahr    literals: int, double, String, boolean
+ *   y ← x * 2                              the types of other variables
+ *   a ← [1, 2]   a[i] ← 0.5                arrays: int[], double[]
+ *   eingabe("Zahl n")                      words of the input prompt: int
+ *   wiederhole für i = 1 bis n             count loop counters: int
+ *   falls name = "Anna"                    comparisons with a typed value
+ *   f(2.5)                                 the arguments of a call type f's parameters
+ *
+ * int and double widen to double; otherwise the first type found wins.
+ * Variables whose type stays unknown, e.g. a number read and only compared
+ * with other unknowns, are ints.
+ *
+ * Functions are scopes of their own: their parameters and the variables
+ * they assign are local to them.
+ */
+
+import { countLoopFields } from "./pseudocode-parser.js";
+import { parseExpression, inputTarget } from "./expression.js";
+
+/** The types a variable can have. */
+export const VARIABLE_TYPES = [
+  "int", "double", "String", "boolean",
+  "int[]", "double[]", "String[]", "boolean[]",
+];
+
+// Words in an input prompt that name the type of the value read
+const PROMPT_TYPES = {
+  int: [
+    "zahl", "ganzzahl", "anzahl", "alter", "number", "integer", "count", "age",
+    "entier", "nombre", "número", "entero", "getal", "aantal",
+  ],
+  double: [
+    "kommazahl", "dezimalzahl", "gleitkommazahl", "preis", "betrag", "decimal",
+    "float", "real", "price", "amount", "réel", "décimal", "prix", "precio",
+    "kommagetal", "prijs",
+  ],
+  String: [
+    "text", "wort", "name", "zeichenkette", "satz", "string", "word", "sentence",
+    "texte", "mot", "nom", "texto", "palabra", "tekst", "woord", "naam",
+  ],
+  boolean: ["wahrheitswert", "boolean", "bool", "booléen", "booleano", "waarheidswaarde"],
+};
+
+const NUMERIC = ["int", "double"];
+const BOOLEAN_OPERATORS = ["and", "or", "==", "!=", "<", "<=", ">", ">="];
+const COMPARISONS = ["==", "!=", "<", "<=", ">", ">="];
+const CHILD_KEYS = ["trueChild", "falseChild", "child", "tryChild", "catchChild", "defaultNode"];
+const IDENTIFIER = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
+
+/**
+ * The element type of an array type.
+ * @param {string} type
+ * @returns {string|null} e.g. "int" for "int[]", null for other types
+ */
+export function elementType(type) {
+  return type && type.endsWith("[]") ? type.slice(0, -2) : null;
+}
+
+/** The common type of two: int and double widen to double, otherwise the first wins. */
+function mergeType(a, b) {
+  if (!a) return b || null;
+  if (!b || a === b) return a;
+  if (NUMERIC.includes(a) && NUMERIC.includes(b)) return "double";
+  const elements = [elementType(a), elementType(b)];
+  return elements.every((e) => NUMERIC.includes(e)) ? "double[]" : a;
+}
+
+/**
+ * The type of an expression AST, or null if it depends on unknown variables.
+ * @param {Object} ast - From parseExpression
+ * @param {Map<string, string>} types - Types of the variables in scope
+ * @param {Map<string, Object>} [functions] - From inferTypes, for calls
+ * @returns {string|null}
+ */
+export function expressionType(ast, types, functions = new Map()) {
+  switch (ast.type) {
+    case "literal":
+      if (ast.kind === "number") return ast.value.includes(".") ? "double" : "int";
+      return ast.kind === "string" ? "String" : "boolean";
+    case "array": {
+      const items = ast.items.map((item) => expressionType(item, types, functions));
+      const element = items.reduce(mergeType, null);
+      return element && !elementType(element) ? element + "[]" : null;
+    }
+    case "name":
+      return types.get(ast.name) || null;
+    case "index":
+      return elementType(expressionType(ast.object, types, functions));
+    case "call": {
+      const fn = ast.callee.type === "name" && functions.get(ast.callee.name);
+      return fn ? fn.returns : null;
+    }
+    case "unary":
+      return ast.op === "not" ? "boolean" : expressionType(ast.operand, types, functions);
+    case "binary": {
+      if (BOOLEAN_OPERATORS.includes(ast.op)) return "boolean";
+      const left = expressionType(ast.left, types, functions);
+      const right = expressionType(ast.right, types, functions);
+      if (ast.op === "+" && (left === "String" || right === "String")) return "String";
+      // The diagram divides exactly, also two integers
+      if (left === "double" || right === "double" || (ast.op === "/" && (left || right))) return "double";
+      return left || right ? "int" : null;
+    }
+    case "assign":
+      return expressionType(ast.value, types, functions);
+    default:
+      return null;
+  }
+}
+
+/** The type the words of an input prompt name, e.g. int for `Zahl n`. */
+function promptType(text) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}_][\p{L}\p{N}_]*/gu) || [];
+  // The last word is the variable itself
+  for (const word of words.slice(0, -1)) {
+    for (const [type, names] of Object.entries(PROMPT_TYPES)) {
+      if (names.includes(word)) return type;
+    }
+  }
+  return null;
+}
+
+/** A scope whose overridden types are fixed once their variable shows up. */
+function createScope(overrides, prefix) {
+  const scope = { types: new Map(), counters: new Set(), assigned: new Set(), read: new Set(), fixed: new Map() };
+  for (const [key, type] of Object.entries(overrides)) {
+    const dot = key.lastIndexOf(".");
+    if ((dot < 0 ? "" : key.slice(0, dot)) === prefix && type) scope.fixed.set(key.slice(dot + 1), type);
+  }
+  return scope;
+}
+
+/**
+ * Infer the variable types of a tree.
+ * @param {Object} tree - The struktog tree
+ * @param {Object} [options]
+ * @param {Object|Object[]} [options.keywords] - Keyword map(s) for the
+ *   operator words and literals in node texts (see parseExpression)
+ * @param {Object<string, string>} [options.types] - Types that override the
+ *   inferred ones: `{ n: "double" }` for the main program,
+ *   `{ "f.x": "String" }` for variable or parameter x of function f
+ * @returns {{main: Object, functions: Map<string, Object>}} The scope of the
+ *   main program and one per function. A scope has `types` (name → type) and
+ *   `counters` (names only ever assigned by count loops and only read
+ *   inside them); a function scope
+ *   also has `node`, `params`, `returns` (its return type) and `calls`
+ *   (the functions it calls).
+ */
+export function inferTypes(tree, options = {}) {
+  const overrides = options.types || {};
+  // loops: the counters of the count loops around the node being inferred
+  const context = { keywords: options.keywords, functions: new Map(), loops: [] };
+  (function collect(node) {
+    if (!node) return;
+    if (node.type === "FunctionNode" && node.text) {
+      const params = (node.parameters || []).map((p) => p.parName);
+      const scope = createScope(overrides, node.text);
+      params.forEach((p) => scope.types.set(p, scope.fixed.get(p) || null));
+      context.functions.set(node.text, { ...scope, node, params, returns: null, calls: new Set() });
+    }
+    for (const key of ["followElement", ...CHILD_KEYS]) collect(node[key]);
+    (node.cases || []).forEach(collect);
+    (node.branches || []).forEach(collect);
+  })(tree);
+
+  const main = createScope(overrides, "");
+  // Types flow through assignments and calls, so a few passes settle them
+  for (let pass = 0; pass < 3; pass++) {
+    inferNode(tree, main, null, context);
+    for (const fn of context.functions.values()) inferNode(fn.node.child, fn, fn, context);
+  }
+  for (const scope of [main, ...context.functions.values()]) {
+    for (const [name, type] of scope.types) scope.types.set(name, type || "int");
+    // Other counters are declared before their loop
+    for (const name of [...scope.assigned, ...scope.read]) scope.counters.delete(name);
+  }
+  for (const fn of context.functions.values()) fn.returns = fn.returns || "int";
+  return { main, functions: context.functions };
+}
+
+/** Record the types a node and everything after it assign in a scope. */
+function inferNode(node, scope, fn, context) {
+  if (!node) return;
+  const { functions } = context;
+  const assign = (name, type) => {
+    if (!IDENTIFIER.test(name)) return;
+    const fixed = scope.fixed.get(name);
+    scope.types.set(name, fixed || mergeType(scope.types.get(name), type));
+  };
+  const visit = (text, statement = false) => {
+    const ast = text ? parseExpression(text, { keywords: context.keywords, statement }) : null;
+    if (ast) {
+      inferUsage(ast, scope, fn, functions);
+      for (const name of namesOf(ast)) if (!context.loops.includes(name)) scope.read.add(name);
+    }
+    return ast;
+  };
+  switch (node.type) {
+    case "FunctionNode":
+      // The body is a scope of its own
+      inferNode(node.followElement, scope, fn, context);
+      return;
+    case "TaskNode":
+      for (const line of (node.text || "").split("\n")) {
+        const ast = visit(line.trim(), true);
+        if (!ast || ast.type !== "assign") continue;
+        const type = expressionType(ast.value, scope.types, functions);
+        if (ast.target.type === "name") {
+          assign(ast.target.name, type);
+          scope.assigned.add(ast.target.name);
+        } else if (ast.target.type === "index" && ast.target.object.type === "name") {
+          // a[i] ← x makes a an array of x's type
+          assign(ast.target.object.name, type && !elementType(type) ? type + "[]" : null);
+        }
+      }
+      break;
+    case "InputNode": {
+      const name = inputTarget(node.text);
+      assign(name, promptType(node.text));
+      scope.assigned.add(name);
+      break;
+    }
+    case "CountLoopNode": {
+      const loop = countLoopFields(node);
+      if (loop) {
+        assign(loop.variable, "int");
+        scope.counters.add(loop.variable);
+        [loop.from, loop.to].forEach((bound) => visit(bound));
+        context.loops.push(loop.variable);
+        inferNode(node.child, scope, fn, context);
+        context.loops.pop();
+        inferNode(node.followElement, scope, fn, context);
+        return;
+      }
+      break;
+    }
+    case "ReturnNode": {
+      const ast = visit(node.text);
+      if (ast && fn) fn.returns = mergeType(fn.returns, expressionType(ast, fn.types, functions));
+      break;
+    }
+    default:
+      visit(node.text);
+  }
+  for (const key of ["followElement", ...CHILD_KEYS]) inferNode(node[key], scope, fn, context);
+  for (const c of node.cases || []) inferNode(c, scope, fn, context);
+  for (const b of node.branches || []) inferNode(b, scope, fn, context);
+}
+
+/**
+ * Learn from how an expression uses variables: a comparison with a typed
+ * value types an unknown variable, and call arguments type parameters.
+ */
+function inferUsage(ast, scope, fn, functions) {
+  if (ast.type === "binary" && COMPARISONS.includes(ast.op)) {
+    for (const [side, other] of [[ast.left, ast.right], [ast.right, ast.left]]) {
+      if (side.type !== "name" || !scope.types.has(side.name) || scope.types.get(side.name)) continue;
+      if (scope.fixed.has(side.name)) continue;
+      const type = expressionType(other, scope.types, functions);
+      if (type) scope.types.set(side.name, type);
+    }
+  }
+  if (ast.type === "call" && ast.callee.type === "name" && functions.has(ast.callee.name)) {
+    const callee = functions.get(ast.callee.name);
+    if (fn) fn.calls.add(ast.callee.name);
+    ast.args.forEach((arg, i) => {
+      const param = callee.params[i];
+      if (!param || callee.fixed.has(param)) return;
+      callee.types.set(param, mergeType(callee.types.get(param), expressionType(arg, scope.types, functions)));
+    });
+  }
+  for (const key of ["callee", "object", "index", "operand", "left", "right", "target", "value"]) {
+    if (ast[key] && typeof ast[key] === "object") inferUsage(ast[key], scope, fn, functions);
+  }
+  for (const child of [...(ast.args || []), ...(ast.items || [])]) inferUsage(child, scope, fn, functions);
+}
+
+/** The variable names an expression reads or assigns. */
+function namesOf(ast) {
+  if (ast.type === "name") return [ast.name];
+  const names = [];
+  for (const key of ["object", "index", "operand", "left", "right", "target", "value"]) {
+    if (ast[key] && typeof ast[key] === "object") names.push(...namesOf(ast[key]));
+  }
+  for (const child of [...(ast.args || []), ...(ast.items || [])]) names.push(...namesOf(child));
+  return names;
+}
+
+/**
+ * All variables of a tree with their types, e.g. for a variable table.
+ * @param {Object} tree - The struktog tree
+ * @param {Object} [options] - See inferTypes
+ * @returns {Array<{scope: string, name: string, type: string, inferred: string,
+ *   key: string}>} `scope` is "" for the main program or the function name;
+ *   `inferred` is the type without overrides; `key` is the name to
+ *   override the type with in `options.types`
+ */
+export function listVariables(tree, options = {}) {
+  const typed = inferTypes(tree, options);
+  const inferred = options.types ? inferTypes(tree, { ...options, types: {} }) : typed;
+  const rows = [];
+  const add = (scope, types, inferredTypes) => {
+    for (const [name, type] of types) {
+      rows.push({
+        scope,
+        name,
+        type,
+        inferred: inferredTypes.get(name) || type,
+        key: scope ? `${scope}.${name}` : name,
+      });
+    }
+  };
+  add("", typed.main.types, inferred.main.types);
+  for (const [name, fn] of typed.functions) {
+    add(name, fn.types, inferred.functions.get(name).types);
+  }
+  return rows;
+}
@@ -1,8 +1,15 @@
-import StruktolabEditor, { renderStructogramSVG, parsePseudocode, generateCode, treeToPseudocode, KEYWORDS_DE, KEYWORDS_EN } from "./struktolab-editor.js";
+import StruktolabEditor, { renderStructogramSVG, parsePseudocode, parsePseudocodeWithDiagnostics, generateCode, treeToPseudocode, registerKeywords, KEYWORDS_DE, KEYWORDS_EN, KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL } from "./struktolab-editor.js";
 import { stripInsertNodes } from "../common/tree-ops.js";
+import { parseExpression, formatExpression } from "../common/expression.js";
+import { codeToTree, codeToTreeWithDiagnostics } from "../common/code-importer.js";
+import { registerLanguage, getLanguages } from "../common/code-generator.js";
+import { inferTypes, listVariables, VARIABLE_TYPES } from "../common/type-inference.js";
+import { Interpreter } from "../common/interpreter.js";
+import { runTests } from "../common/test-runner.js";
+import { traceTable, formatTraceTable } from "../common/trace-table.js";
 
 if (!customElements.get("struktolab-editor")) {
   customElements.define("struktolab-editor", StruktolabEditor);
 }
 
-export { StruktolabEditor, renderStructogramSVG, parsePseudocode, generateCode, treeToPseudocode, stripInsertNodes, KEYWORDS_DE, KEYWORDS_EN };
+export { StruktolabEditor, renderStructogramSVG, parsePseudocode, parsePseudocodeWithDiagnostics, generateCode, registerLanguage, getLanguages, inferTypes, listVariables, VARIABLE_TYPES, Interpreter, runTests, traceTable, formatTraceTable, codeToTree, codeToTreeWithDiagnostics, treeToPseudocode, stripInsertNodes, registerKeywords, parseExpression, formatExpression, KEYWORDS_DE, KEYWORDS_EN, KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL };
@@ -1,16 +1,39 @@
-import { renderStructogramSVG, setInsertNodeHeight } from "../common/svg-renderer.js";
+import {
+  renderStructogramSVG,
+  setInsertNodeHeight,
+  exitLabel,
+} from "../common/svg-renderer.js";
 import {
   parsePseudocode,
+  parsePseudocodeWithDiagnostics,
+  getKeywords,
+  getKeywordLanguages,
+  registerKeywords,
+  parseCountLoop,
+  formatCountLoop,
   KEYWORDS_DE,
   KEYWORDS_EN,
+  KEYWORDS_FR,
+  KEYWORDS_ES,
+  KEYWORDS_NL,
 } from "../common/pseudocode-parser.js";
 import { generateCode } from "../common/code-generator.js";
+import {
+  codeToTreeWithDiagnostics,
+  importLanguageForFile,
+  importExtensions,
+} from "../common/code-importer.js";
 import { treeToPseudocode } from "../common/tree-to-pseudocode.js";
+import { listVariables, VARIABLE_TYPES } from "../common/type-inference.js";
+import { Interpreter } from "../common/interpreter.js";
+import { runTests, normalizeTestCase } from "../common/test-runner.js";
+import { traceTable, traceTableCells, formatTraceTable } from "../common/trace-table.js";
 import {
   ensureIds,
   insertAt,
   removeNode,
   editText,
+  editCountLoop,
   moveNode,
   findNode,
   cloneTree,
@@ -18,6 +41,11 @@ import {
   stripInsertNodes,
   addCase,
   removeCase,
+  addBranch,
+  removeBranch,
+  findFunctionDefinition,
+  collectSourcePositions,
+  nodeComment,
 } from "../common/tree-ops.js";
 
 /* ── Constants ─────────────────────────────────────────────── */
@@ -26,6 +54,9 @@ const INSERT_COLOR = "rgba(1, 116, 96, 0.2)";
 const INSERT_HOVER_COLOR = "rgba(1, 116, 96, 0.45)";
 const INSERT_HEIGHT = 20;
 const DELETE_HOVER_COLOR = "rgba(192, 57, 43, 0.25)";
+const EXECUTION_COLOR = "rgba(255, 193, 7, 0.45)";
+const STEP_DELAY = 400; // ms between steps when running
+const MAX_STEPS = 10000; // run mode stops with an error after these, e.g. in an endless loop
 
 /* ── Toolbar definitions ───────────────────────────────────── */
 
@@ -35,11 +66,16 @@ const TOOLBAR_ITEMS = [
   { type: "OutputNode", label: "Output", icon: "◀" },
   { type: "BranchNode", label: "If/Else", icon: "◇" },
   { type: "CaseNode", label: "Switch", icon: "⊞" },
+  { type: "ParallelNode", label: "Parallel", icon: "⫴" },
   { type: "HeadLoopNode", label: "While", icon: "↻" },
   { type: "FootLoopNode", label: "Do-While", icon: "↺" },
   { type: "CountLoopNode", label: "For", icon: "#" },
   { type: "FunctionNode", label: "Function", icon: "ƒ" },
+  { type: "CallNode", label: "Call", icon: "‖" },
   { type: "TryCatchNode", label: "Try/Catch", icon: "⚡" },
+  { type: "ReturnNode", label: "Return", icon: "↩" },
+  { type: "BreakNode", label: "Break", icon: "⇥" },
+  { type: "ContinueNode", label: "Continue", icon: "↷" },
 ];
 
 /* ── CSS ───────────────────────────────────────────────────── */
@@ -123,6 +159,47 @@ const STYLES = `
   overflow: hidden;
 }
 
+.run-layout {
+  display: flex;
+}
+.run-layout .editor-area {
+  flex: 1;
+  min-width: 0;
+}
+.run-panel {
+  width: 220px;
+  flex-shrink: 0;
+  border-left: 1px solid var(--toolbar-border);
+  border-right: 1px solid var(--toolbar-border);
+  margin-left: -1px; /* shares the border of the editor area */
+  padding: 4px 8px;
+  font-size: 13px;
+  overflow: auto;
+}
+.run-panel h4 {
+  margin: 6px 0 2px;
+  font-size: 13px;
+}
+.run-panel .status.error { color: var(--danger); }
+.run-panel table {
+  border-collapse: collapse;
+  font-family: "Fira Code", "Consolas", monospace;
+}
+.run-panel td {
+  padding: 1px 12px 1px 0;
+  vertical-align: top;
+}
+.run-panel .console {
+  margin: 0;
+  padding: 4px;
+  min-height: 40px;
+  background: #222;
+  color: #eee;
+  border-radius: 3px;
+  font-family: "Fira Code", "Consolas", monospace;
+  white-space: pre-wrap;
+}
+
 .editor-area svg { cursor: default; }
 .editor-area.mode-insert svg { cursor: crosshair; }
 .editor-area.mode-delete svg { cursor: not-allowed; }
@@ -154,9 +231,145 @@ const STYLES = `
   cursor: pointer;
   font-size: 14px;
 }
+.text-overlay input {
+  flex: 1;
+  width: 3em;
+  font-size: 14px;
+  font-family: inherit;
+  padding: 2px 4px;
+  border: 2px solid #017460;
+  border-radius: 3px;
+  outline: none;
+}
+.text-overlay span {
+  align-self: center;
+  font-size: 14px;
+  white-space: nowrap;
+}
 .text-overlay .ok { background: #b5e3d9; }
 .text-overlay .cancel { background: #f8d7da; }
 
+.variables-panel {
+  border-left: 1px solid var(--toolbar-border);
+  border-right: 1px solid var(--toolbar-border);
+  border-top: 1px solid var(--toolbar-border);
+  padding: 4px 8px;
+  font-size: 13px;
+}
+.variables-panel table {
+  border-collapse: collapse;
+}
+.variables-panel th, .variables-panel td {
+  text-align: left;
+  padding: 2px 12px 2px 0;
+}
+.variables-panel td.name {
+  font-family: "Fira Code", "Consolas", monospace;
+}
+.variables-panel select {
+  font-size: 13px;
+  border: 1px solid var(--toolbar-border);
+  border-radius: 3px;
+}
+.variables-panel .empty {
+  color: #777;
+}
+
+.tests-panel {
+  border-left: 1px solid var(--toolbar-border);
+  border-right: 1px solid var(--toolbar-border);
+  border-top: 1px solid var(--toolbar-border);
+  padding: 4px 8px;
+  font-size: 13px;
+}
+.tests-panel .test-case {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  align-items: flex-start;
+  padding: 4px 0;
+  border-bottom: 1px solid var(--toolbar-border);
+}
+.tests-panel input, .tests-panel textarea {
+  font-size: 13px;
+  border: 1px solid var(--toolbar-border);
+  border-radius: 3px;
+  padding: 2px 4px;
+}
+.tests-panel textarea {
+  font-family: "Fira Code", "Consolas", monospace;
+  width: 140px;
+  resize: vertical;
+}
+.tests-panel button {
+  font-size: 13px;
+  border: 1px solid var(--toolbar-border);
+  border-radius: 3px;
+  background: #fff;
+  cursor: pointer;
+}
+.tests-panel .result { flex-basis: 100%; }
+.tests-panel .passed { color: #017460; }
+.tests-panel .failed { color: var(--danger); }
+.tests-panel .diff {
+  margin: 2px 0 0;
+  font-family: "Fira Code", "Consolas", monospace;
+}
+.tests-panel .diff .missing { background: #fde; }
+.tests-panel .diff .extra { background: #dfd; }
+.tests-panel .actions {
+  display: flex;
+  gap: 6px;
+  align-items: center;
+  padding: 4px 0;
+}
+
+.trace-panel {
+  border-left: 1px solid var(--toolbar-border);
+  border-right: 1px solid var(--toolbar-border);
+  border-top: 1px solid var(--toolbar-border);
+  padding: 4px 8px;
+  font-size: 13px;
+  overflow-x: auto;
+}
+.trace-panel .actions {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  align-items: center;
+  padding: 4px 0;
+}
+.trace-panel textarea {
+  font-family: "Fira Code", "Consolas", monospace;
+  font-size: 13px;
+  width: 140px;
+  border: 1px solid var(--toolbar-border);
+  border-radius: 3px;
+}
+.trace-panel button {
+  font-size: 13px;
+  border: 1px solid var(--toolbar-border);
+  border-radius: 3px;
+  background: #fff;
+  cursor: pointer;
+}
+.trace-panel table {
+  border-collapse: collapse;
+  font-family: "Fira Code", "Consolas", monospace;
+}
+.trace-panel th, .trace-panel td {
+  border: 1px solid var(--toolbar-border);
+  padding: 2px 6px;
+  text-align: left;
+  white-space: pre;
+}
+.trace-panel td { cursor: pointer; }
+.trace-panel td.blank {
+  background: #eee;
+  color: #aaa;
+}
+.trace-panel .error { color: var(--danger); }
+
 .pseudocode-area {
   border: 1px solid var(--toolbar-border);
   border-radius: 0 0 4px 4px;
@@ -184,6 +397,12 @@ const STYLES = `
   font-size: 12px;
   padding: 2px 8px;
 }
+.pseudocode-area .error ul {
+  margin: 0;
+  padding: 0;
+  list-style: none;
+}
+.pseudocode-area .error li.warning { color: #a66300; }
 `;
 
 /* ── Web Component ─────────────────────────────────────────── */
@@ -192,24 +411,50 @@ const STYLES = `
  * <struktolab-editor> — Visual structogram editor with pseudocode sync.
  *
  * Attributes:
- *   scale, font-size, src, lang, color-mode (same as <struktolab-renderer>)
+ *   scale, font-size, src, lang, color-mode, show-comments
+ *   (same as <struktolab-renderer>)
  *
  * Properties:
  *   tree, pseudocode, keywords (same as <struktolab-renderer>)
+ *   diagnostics          — problems found in the pseudocode (read-only)
+ *   variableTypes        — types that override the inferred ones, e.g.
+ *                          { n: "double", "f.x": "String" }; used by toCode
+ *                          and edited in the variable table
+ *   tests                — test cases [{ name, input, output }]; saved with
+ *                          the tree by saveJSON and edited in the tests panel
  *
  * Methods:
- *   toCode(lang)         — export to Python/Java/JavaScript
+ *   toCode(lang, opts)   — export to Python/Java/JavaScript/TypeScript/C#/
+ *                          C/C++/Pascal or a registered language;
+ *                          { sourceMap: true } adds the line → node map
+ *   selectNode(id)       — outline a node (null clears the outline)
  *   saveJSON()           — return clean JSON string of the tree
  *   loadJSON(json)       — load from JSON string or object
+ *   importCode(src, lang) — build the structogram from Python, Java or
+ *                          JavaScript source code
  *   exportImage(format)  — export as PNG or SVG Blob (async)
  *   change(tree)         — set a new tree programmatically
+ *   step()               — run mode: run the highlighted node and highlight
+ *                          the next one; returns the interpreter state
+ *   run(delay)           — run mode: step every `delay` ms (default 400)
+ *                          until the program ends or waits for input
+ *   pause()              — stop run()
+ *   reset()              — leave run mode
+ *   runTests()           — run the tree against its test cases and show
+ *                          pass/fail with diffs; returns the results
+ *   traceTable(input)    — record a run as a trace table (Schreibtischtest)
+ *                          and show it; returns the table
+ *   exportTraceTable(format) — the trace table as "csv", "markdown" or
+ *                          "html", without the cells blanked in the panel
  *
  * Events:
  *   "change" — fired when the tree changes (detail: { tree })
+ *   "select" — fired when a block is clicked (detail: { nodeId })
+ *   "step"   — fired after each step in run mode (detail: interpreter state)
  */
 class StruktolabEditor extends HTMLElement {
   static get observedAttributes() {
-    return ["scale", "font-size", "src", "lang", "color-mode"];
+    return ["scale", "font-size", "src", "lang", "color-mode", "show-comments"];
   }
 
   constructor() {
@@ -218,7 +463,26 @@ class StruktolabEditor extends HTMLElement {
     this._keywords = null;
     this._mode = null; // null | "insert:TYPE" | "delete" | "move:ID"
     this._syncing = false; // guard against circular updates
+    this._diagnostics = [];
     this._debounceTimer = null;
+    this._sourceMap = new Map(); // nodeId → { startLine, endLine } in the textarea
+    this._lastSyncedCode = null;
+    this._selectedId = null;
+    this._variableTypes = {};
+    this._tests = [];
+    this._testResults = null; // results of the last runTests() for _testedTree
+    this._testedTree = null;
+    this._renderedTests = null; // test cases the tests panel shows
+    this._trace = null; // last traceTable() for _tracedTree
+    this._tracedTree = null;
+    this._traceInput = null;
+    this._traceDraft = null; // input typed into the trace panel, not yet traced
+    this._traceBlank = new Set(); // "<step>:<column key>" of blanked cells
+    this._traceChangesOnly = true;
+    this._execution = null; // Interpreter while in run mode
+    this._executionTree = null;
+    this._runTimer = null;
+    this._resumeAfterInput = false;
 
     this._shadow = this.attachShadow({ mode: "open" });
 
@@ -233,10 +497,35 @@ class StruktolabEditor extends HTMLElement {
     this._buildToolbar();
     this._shadow.appendChild(this._toolbar);
 
-    // Editor area
+    // Editor area, with the run panel beside it in run mode
+    const runLayout = document.createElement("div");
+    runLayout.className = "run-layout";
     this._editorArea = document.createElement("div");
     this._editorArea.className = "editor-area";
-    this._shadow.appendChild(this._editorArea);
+    runLayout.appendChild(this._editorArea);
+    this._runPanel = document.createElement("div");
+    this._runPanel.className = "run-panel";
+    this._runPanel.style.display = "none";
+    runLayout.appendChild(this._runPanel);
+    this._shadow.appendChild(runLayout);
+
+    // Variable table (hidden until toggled)
+    this._variablesPanel = document.createElement("div");
+    this._variablesPanel.className = "variables-panel";
+    this._variablesPanel.style.display = "none";
+    this._shadow.appendChild(this._variablesPanel);
+
+    // Test cases (hidden until toggled)
+    this._testsPanel = document.createElement("div");
+    this._testsPanel.className = "tests-panel";
+    this._testsPanel.style.display = "none";
+    this._shadow.appendChild(this._testsPanel);
+
+    // Trace table (hidden until toggled)
+    this._tracePanel = document.createElement("div");
+    this._tracePanel.className = "trace-panel";
+    this._tracePanel.style.display = "none";
+    this._shadow.appendChild(this._tracePanel);
 
     // Pseudocode area
     this._pseudoArea = document.createElement("div");
@@ -260,6 +549,8 @@ class StruktolabEditor extends HTMLElement {
     // Events
     this._textarea.addEventListener("input", () => this._onPseudocodeInput());
     this._textarea.addEventListener("blur", () => this._syncPseudocodeToTree());
+    this._textarea.addEventListener("keyup", () => this._selectNodeAtCaret());
+    this._textarea.addEventListener("mouseup", () => this._selectNodeAtCaret());
     this._textarea.addEventListener("keydown", (e) => {
       if (e.key === "Tab") {
         e.preventDefault();
@@ -304,8 +595,7 @@ class StruktolabEditor extends HTMLElement {
 
   _getKeywords() {
     if (this._keywords) return this._keywords;
-    const lang = (this.getAttribute("lang") || "de").toLowerCase();
-    return lang === "en" ? KEYWORDS_EN : KEYWORDS_DE;
+    return getKeywords(this.getAttribute("lang") || "de");
   }
 
   _prepTree(tree) {
@@ -330,7 +620,7 @@ class StruktolabEditor extends HTMLElement {
       const script = this.querySelector('script[type="application/json"]');
       if (script) {
         try {
-          this._tree = this._prepTree(JSON.parse(script.textContent));
+          this._tree = this._prepTree(this._takeTests(JSON.parse(script.textContent)));
           this._emitChange();
         } catch (e) {
           console.error("struktolab-editor: invalid inline JSON", e);
@@ -356,8 +646,10 @@ class StruktolabEditor extends HTMLElement {
     if (name === "src" && newVal && newVal !== oldVal) {
       this._fetchTree(newVal);
     } else {
-      if (name === "lang" && this._langSelect)
-        this._langSelect.value = newVal || "de";
+      if (name === "lang" && this._langSelect) {
+        this._fillLangOptions();
+        this._langSelect.value = (newVal || "de").toLowerCase();
+      }
       if (name === "font-size" && this._fsInput)
         this._fsInput.value = newVal || "14";
       if (name === "scale" && this._scaleInput)
@@ -391,15 +683,170 @@ class StruktolabEditor extends HTMLElement {
     this._syncTreeToPseudocode();
   }
 
-  toCode(lang) {
-    if (!this._tree) return "";
-    return generateCode(this._tree, lang);
+  /** Types that override the inferred ones: variable name → type. */
+  set variableTypes(types) {
+    this._variableTypes = { ...(types || {}) };
+    this._renderVariables();
+  }
+  get variableTypes() {
+    return { ...this._variableTypes };
+  }
+
+  /** Test cases: values for the InputNodes and the expected output lines. */
+  set tests(tests) {
+    this._tests = (tests || []).map(normalizeTestCase);
+    this._testResults = null;
+    this._renderTests();
+  }
+  get tests() {
+    return this._tests.map(normalizeTestCase);
+  }
+
+  /**
+   * Run the structogram against its test cases and show the results in the
+   * tests panel.
+   * @returns {Array} One result per test case (see runTests in
+   *   test-runner.js): { name, passed, input, expected, actual, diff, error }
+   */
+  runTests() {
+    if (!this._tree) return [];
+    this._testResults = runTests(this._tree, this._tests, { keywords: this._getKeywords() });
+    this._testedTree = this._tree;
+    this._renderTests();
+    return this._testResults;
+  }
+
+  /**
+   * Run the structogram and record every step as a trace table, shown in
+   * the trace panel. Blanked cells are cleared.
+   * @param {string[]|string} [input] - Values for the InputNodes, as an
+   *   array or one per line; defaults to the last input or that of the
+   *   first test case
+   * @returns {Object|null} The table (see traceTable in trace-table.js)
+   */
+  traceTable(input) {
+    if (!this._tree) return null;
+    if (input !== undefined) {
+      this._traceInput = normalizeTestCase({ input }).input;
+    } else if (!this._traceInput) {
+      this._traceInput = this._tests.length > 0 ? this._tests[0].input.slice() : [];
+    }
+    this._traceDraft = null;
+    this._trace = traceTable(this._tree, { input: this._traceInput, keywords: this._getKeywords() });
+    this._tracedTree = this._tree;
+    this._traceBlank = new Set();
+    this._renderTrace();
+    return this._trace;
+  }
+
+  /**
+   * The trace table as text; cells blanked in the trace panel stay empty.
+   * @param {string} format - "csv", "markdown" or "html"
+   * @param {Object} [options] - See formatTraceTable, e.g. `changesOnly`
+   * @returns {string} Empty if no trace table has been recorded
+   */
+  exportTraceTable(format, options = {}) {
+    if (!this._trace) return "";
+    return formatTraceTable(this._trace, format, { ...this._traceOptions(), ...options });
+  }
+
+  _traceOptions() {
+    return { blank: this._traceBlank, changesOnly: this._traceChangesOnly, keywords: this._getKeywords() };
+  }
+
+  /** Diagnostics from the last parse of the pseudocode textarea. */
+  get diagnostics() {
+    return this._diagnostics.slice();
+  }
+
+  /**
+   * Export the current structogram as source code.
+   * @param {string} lang - Target language: "python", "java", "javascript",
+   *   "typescript", "csharp", "c", "cpp", "pascal" or one added with
+   *   registerLanguage
+   * @param {Object} [options] - Passed on to generateCode, e.g. `sourceMap`;
+   *   `types` are merged over `variableTypes`
+   * @returns {string|{code: string, map: Array<{line: number, nodeId: string}>}}
+   *   Generated source code; with `sourceMap` also the node of each line
+   */
+  toCode(lang, options = {}) {
+    if (!this._tree) return options.sourceMap ? { code: "", map: [] } : "";
+    return generateCode(this._tree, lang, {
+      ...options,
+      types: { ...this._variableTypes, ...options.types },
+      keywords: this._getKeywords(),
+    });
+  }
+
+  /**
+   * Outline a node in the diagram, e.g. the one a line of generated code
+   * belongs to. Does not fire "select".
+   * @param {string|null} id - Node id from the tree or a source map
+   */
+  selectNode(id) {
+    this._selectNode(id || null);
+  }
+
+  /**
+   * Run mode: run the highlighted node and highlight the next one. The
+   * first step enters run mode and highlights the first node.
+   * @returns {Object} The interpreter state (see Interpreter#state)
+   */
+  step() {
+    if (!this._tree) return null;
+    if (!this._execution) {
+      this._execution = new Interpreter(this._tree, { keywords: this._getKeywords(), maxSteps: MAX_STEPS });
+      this._executionTree = this._tree;
+      this._runPanel.style.display = "";
+      this._render();
+    }
+    const state = this._execution.step();
+    this._showExecution(state);
+    this.dispatchEvent(new CustomEvent("step", { detail: state, bubbles: true }));
+    return state;
+  }
+
+  /**
+   * Run mode: step until the program ends or waits for input. A program
+   * that has ended starts over.
+   * @param {number} [delay=400] - Milliseconds between steps; 0 runs at once
+   */
+  run(delay = STEP_DELAY) {
+    this._stopTimer();
+    const finished = (state) => !state || ["done", "error", "waiting"].includes(state.status);
+    // A finished program runs again from the start
+    if (this._execution && finished(this._execution.state) && this._execution.state.status !== "waiting") {
+      this._stopExecution();
+    }
+    // Keep running once a missing input is entered
+    this._resumeAfterInput = true;
+    if (delay <= 0) {
+      while (!finished(this.step()));
+      return;
+    }
+    if (finished(this.step())) return;
+    this._runTimer = setInterval(() => {
+      if (finished(this.step())) this._stopTimer();
+    }, delay);
+    this._runBtn.textContent = "⏸ Pause";
+  }
+
+  /** Stop run(); step() continues from the highlighted node. */
+  pause() {
+    this._resumeAfterInput = false;
+    this._stopTimer();
+  }
+
+  /** Leave run mode: remove the highlight and the run panel. */
+  reset() {
+    this._stopExecution();
+    this._render();
   }
 
   async _fetchTree(url) {
     try {
       const res = await fetch(url);
-      this._tree = this._prepTree(await res.json());
+      this._tree = this._prepTree(this._takeTests(await res.json()));
       this._render();
       this._syncTreeToPseudocode();
     } catch (e) {
@@ -451,9 +898,12 @@ class StruktolabEditor extends HTMLElement {
     const langLabel = document.createElement("label");
     langLabel.textContent = "Lang ";
     const langSelect = document.createElement("select");
-    langSelect.innerHTML =
-      '<option value="de">Deutsch</option><option value="en">English</option>';
+    this._langSelect = langSelect;
+    this._fillLangOptions();
     langSelect.value = (this.getAttribute("lang") || "de").toLowerCase();
+    // Pick up keyword sets registered after the toolbar was built
+    langSelect.addEventListener("mousedown", () => this._fillLangOptions());
+    langSelect.addEventListener("focus", () => this._fillLangOptions());
     langSelect.addEventListener("change", () => {
       this.setAttribute("lang", langSelect.value);
       this._keywords = null;
@@ -461,7 +911,6 @@ class StruktolabEditor extends HTMLElement {
     });
     langLabel.appendChild(langSelect);
     this._toolbar.appendChild(langLabel);
-    this._langSelect = langSelect;
 
     // Font-size input
     const fsLabel = document.createElement("label");
@@ -543,6 +992,20 @@ class StruktolabEditor extends HTMLElement {
     this._fileInput.addEventListener("change", (e) => this._handleFileLoad(e));
     this._toolbar.appendChild(this._fileInput);
 
+    // Import source code
+    const importBtn = document.createElement("button");
+    importBtn.textContent = "📥 Import code";
+    importBtn.title = "Build structogram from a source code file";
+    importBtn.addEventListener("click", () => this._triggerImportCode());
+    this._toolbar.appendChild(importBtn);
+
+    this._codeInput = document.createElement("input");
+    this._codeInput.type = "file";
+    this._codeInput.accept = importExtensions().join(",");
+    this._codeInput.style.display = "none";
+    this._codeInput.addEventListener("change", (e) => this._handleCodeImport(e));
+    this._toolbar.appendChild(this._codeInput);
+
     // Export PNG
     const pngBtn = document.createElement("button");
     pngBtn.textContent = "🖼 PNG";
@@ -556,6 +1019,87 @@ class StruktolabEditor extends HTMLElement {
     svgBtn.title = "Export as SVG image";
     svgBtn.addEventListener("click", () => this._downloadImage("svg"));
     this._toolbar.appendChild(svgBtn);
+
+    // Variable table
+    const variablesBtn = document.createElement("button");
+    variablesBtn.textContent = "🔤 Variables";
+    variablesBtn.title = "Show the variables and their types";
+    variablesBtn.addEventListener("click", () => {
+      const show = this._variablesPanel.style.display === "none";
+      this._variablesPanel.style.display = show ? "" : "none";
+      variablesBtn.classList.toggle("active", show);
+      this._renderVariables();
+    });
+    this._toolbar.appendChild(variablesBtn);
+
+    // Test cases
+    const testsBtn = document.createElement("button");
+    testsBtn.textContent = "🧪 Tests";
+    testsBtn.title = "Edit and run the test cases";
+    testsBtn.addEventListener("click", () => {
+      const show = this._testsPanel.style.display === "none";
+      this._testsPanel.style.display = show ? "" : "none";
+      testsBtn.classList.toggle("active", show);
+      this._renderTests();
+    });
+    this._toolbar.appendChild(testsBtn);
+
+    // Trace table
+    const traceBtn = document.createElement("button");
+    traceBtn.textContent = "📋 Trace table";
+    traceBtn.title = "Record a run as a trace table";
+    traceBtn.addEventListener("click", () => {
+      const show = this._tracePanel.style.display === "none";
+      this._tracePanel.style.display = show ? "" : "none";
+      traceBtn.classList.toggle("active", show);
+      this._renderTrace();
+    });
+    this._toolbar.appendChild(traceBtn);
+
+    const sep4 = document.createElement("span");
+    sep4.className = "sep";
+    this._toolbar.appendChild(sep4);
+
+    // Run mode
+    this._runBtn = document.createElement("button");
+    this._runBtn.textContent = "▶ Run";
+    this._runBtn.title = "Run the program step by step";
+    this._runBtn.addEventListener("click", () => {
+      if (this._runTimer) this.pause();
+      else this.run();
+    });
+    this._toolbar.appendChild(this._runBtn);
+
+    const stepBtn = document.createElement("button");
+    stepBtn.textContent = "⏭ Step";
+    stepBtn.title = "Run the highlighted block";
+    stepBtn.addEventListener("click", () => {
+      this.pause();
+      this.step();
+    });
+    this._toolbar.appendChild(stepBtn);
+
+    const resetBtn = document.createElement("button");
+    resetBtn.textContent = "⟲ Reset";
+    resetBtn.title = "Leave run mode";
+    resetBtn.addEventListener("click", () => this.reset());
+    this._toolbar.appendChild(resetBtn);
+  }
+
+  /** Sync the language select with the registered keyword sets. */
+  _fillLangOptions() {
+    const select = this._langSelect;
+    const languages = getKeywordLanguages();
+    if (select.options.length === languages.length) return;
+    const value = select.value;
+    select.innerHTML = "";
+    for (const { lang, label } of languages) {
+      const option = document.createElement("option");
+      option.value = lang;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    if (value) select.value = value;
   }
 
   _toggleInsertMode(type) {
@@ -600,9 +1144,12 @@ class StruktolabEditor extends HTMLElement {
 
   _render() {
     if (!this._tree) return;
+    // An edited tree is a different program
+    if (this._execution && this._executionTree !== this._tree) this._stopExecution();
     const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
     const width = this._resolveWidth();
     const colorMode = this.getAttribute("color-mode");
+    const showComments = this.hasAttribute("show-comments");
 
     // Remove old SVG (keep overlay)
     const oldSvg = this._editorArea.querySelector("svg");
@@ -613,13 +1160,240 @@ class StruktolabEditor extends HTMLElement {
       (this._mode && this._mode.startsWith("insert:")) ||
       (this._mode && this._mode.startsWith("move:"));
     setInsertNodeHeight(showTargets ? INSERT_HEIGHT : 0);
-    const svg = renderStructogramSVG(this._tree, { width, fontSize, colorMode });
+    const svg = renderStructogramSVG(this._tree, {
+      width, fontSize, colorMode, showComments, keywords: this._getKeywords(),
+    });
     setInsertNodeHeight(0);
 
     // Add interactive overlays
     this._addInteractivity(svg, width, fontSize);
 
+    this._drawExecution(svg, width, fontSize);
+
     this._editorArea.insertBefore(svg, this._overlay);
+    this._renderVariables();
+    // The panels are only rebuilt when what they show changes, so text typed
+    // into them is kept; results of an edited tree are out of date
+    const testsChanged = this._renderedTests !== this._tests;
+    const testsStale = Boolean(this._testResults) && this._testedTree !== this._tree;
+    if (testsStale) this._testResults = null;
+    if (testsChanged || testsStale) this._renderTests();
+    const traceStale = Boolean(this._trace) && this._tracedTree !== this._tree;
+    if (traceStale) this._trace = null;
+    if (testsChanged || traceStale) this._renderTrace();
+  }
+
+  /** Fill the variable table with the inferred types and the overrides. */
+  _renderVariables() {
+    const panel = this._variablesPanel;
+    if (!this._tree || panel.style.display === "none") return;
+    panel.innerHTML = "";
+    const rows = listVariables(this._tree, {
+      keywords: this._getKeywords(),
+      types: this._variableTypes,
+    });
+    if (rows.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty";
+      empty.textContent = "No variables";
+      panel.appendChild(empty);
+      return;
+    }
+    const table = document.createElement("table");
+    const head = table.insertRow();
+    for (const label of ["Scope", "Variable", "Type"]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    for (const row of rows) {
+      const tr = table.insertRow();
+      tr.insertCell().textContent = row.scope || "main";
+      const name = tr.insertCell();
+      name.className = "name";
+      name.textContent = row.name;
+      const select = document.createElement("select");
+      const auto = document.createElement("option");
+      auto.value = "";
+      auto.textContent = `auto (${row.inferred})`;
+      select.appendChild(auto);
+      for (const type of VARIABLE_TYPES) {
+        const option = document.createElement("option");
+        option.value = type;
+        option.textContent = type;
+        select.appendChild(option);
+      }
+      select.value = this._variableTypes[row.key] || "";
+      select.addEventListener("change", () => {
+        if (select.value) this._variableTypes[row.key] = select.value;
+        else delete this._variableTypes[row.key];
+        this._renderVariables();
+        this._emitChange();
+      });
+      tr.insertCell().appendChild(select);
+    }
+    panel.appendChild(table);
+  }
+
+  /** Fill the tests panel with the test cases and the last results. */
+  _renderTests() {
+    const panel = this._testsPanel;
+    if (panel.style.display === "none") return;
+    panel.innerHTML = "";
+    this._renderedTests = this._tests;
+    const results = this._testResults;
+    const edited = (update) => {
+      update();
+      this._testResults = null;
+      this._renderTests();
+      this._emitChange();
+    };
+
+    this._tests.forEach((test, index) => {
+      const row = document.createElement("div");
+      row.className = "test-case";
+      const name = document.createElement("input");
+      name.value = test.name;
+      name.placeholder = `Test ${index + 1}`;
+      name.addEventListener("change", () => edited(() => (test.name = name.value)));
+      const field = (key, placeholder) => {
+        const textarea = document.createElement("textarea");
+        textarea.rows = Math.max(2, test[key].length);
+        textarea.value = test[key].join("\n");
+        textarea.placeholder = placeholder;
+        textarea.title = placeholder;
+        textarea.addEventListener("change", () => {
+          edited(() => (test[key] = normalizeTestCase({ [key]: textarea.value })[key]));
+        });
+        return textarea;
+      };
+      const removeBtn = document.createElement("button");
+      removeBtn.textContent = "✗";
+      removeBtn.title = "Remove test case";
+      removeBtn.addEventListener("click", () => edited(() => this._tests.splice(index, 1)));
+      row.append(name, field("input", "Input, one value per line"), field("output", "Expected output"), removeBtn);
+
+      const result = results && results[index];
+      if (result) {
+        const status = document.createElement("div");
+        status.className = "result " + (result.passed ? "passed" : "failed");
+        status.textContent = result.passed
+          ? "✓ passed"
+          : "✗ failed" + (result.error ? ": " + result.error.message : "");
+        row.appendChild(status);
+        if (!result.passed && result.diff.length > 0) {
+          // - expected but not printed, + printed but not expected
+          const diff = document.createElement("pre");
+          diff.className = "diff result";
+          for (const line of result.diff) {
+            const span = document.createElement("div");
+            span.className = line.type;
+            span.textContent = { same: "  ", missing: "- ", extra: "+ " }[line.type] + line.text;
+            diff.appendChild(span);
+          }
+          row.appendChild(diff);
+        }
+      }
+      panel.appendChild(row);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const addBtn = document.createElement("button");
+    addBtn.textContent = "+ Test case";
+    addBtn.addEventListener("click", () => edited(() => this._tests.push(normalizeTestCase())));
+    const runBtn = document.createElement("button");
+    runBtn.textContent = "▶ Run all";
+    runBtn.disabled = this._tests.length === 0;
+    runBtn.addEventListener("click", () => this.runTests());
+    actions.append(addBtn, runBtn);
+    if (results) {
+      const summary = document.createElement("span");
+      const passed = results.filter((r) => r.passed).length;
+      summary.className = passed === results.length ? "passed" : "failed";
+      summary.textContent = `${passed} / ${results.length} passed`;
+      actions.appendChild(summary);
+    }
+    panel.appendChild(actions);
+  }
+
+  /** Fill the trace panel; clicking a cell blanks it for the worksheet. */
+  _renderTrace() {
+    const panel = this._tracePanel;
+    if (panel.style.display === "none") return;
+    panel.innerHTML = "";
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const input = document.createElement("textarea");
+    input.rows = 2;
+    input.placeholder = "Input, one value per line";
+    input.title = input.placeholder;
+    input.value = this._traceDraft ?? (this._traceInput || (this._tests[0] && this._tests[0].input) || []).join("\n");
+    input.addEventListener("input", () => (this._traceDraft = input.value));
+    const generateBtn = document.createElement("button");
+    generateBtn.textContent = "▶ Generate";
+    generateBtn.addEventListener("click", () => this.traceTable(input.value));
+    const changesLabel = document.createElement("label");
+    const changesOnly = document.createElement("input");
+    changesOnly.type = "checkbox";
+    changesOnly.checked = this._traceChangesOnly;
+    changesOnly.addEventListener("change", () => {
+      this._traceChangesOnly = changesOnly.checked;
+      this._renderTrace();
+    });
+    changesLabel.append(changesOnly, " Only changes");
+    actions.append(input, generateBtn, changesLabel);
+    if (this._trace) {
+      const formats = [["csv", "CSV", "text/csv"], ["markdown", "Markdown", "text/markdown"], ["html", "HTML", "text/html"]];
+      for (const [format, label, type] of formats) {
+        const btn = document.createElement("button");
+        btn.textContent = "⬇ " + label;
+        btn.title = `Export as ${label}`;
+        btn.addEventListener("click", () => {
+          const blob = new Blob([this.exportTraceTable(format)], { type });
+          this._downloadBlob(blob, `trace-table.${format === "markdown" ? "md" : format}`);
+        });
+        actions.appendChild(btn);
+      }
+    }
+    panel.appendChild(actions);
+    if (!this._trace) return;
+
+    const trace = this._trace;
+    if (trace.status !== "done") {
+      const status = document.createElement("div");
+      status.className = "error";
+      status.textContent = trace.error
+        ? "Error: " + trace.error.message
+        : "The program reads more input than given";
+      panel.appendChild(status);
+    }
+    // Blanked cells stay visible here, greyed out, so they can be restored
+    const full = traceTableCells(trace, { ...this._traceOptions(), blank: [] });
+    const table = document.createElement("table");
+    const head = table.insertRow();
+    for (const label of full.header) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    full.rows.forEach((cells, i) => {
+      const tr = table.insertRow();
+      for (const cell of cells) {
+        const td = tr.insertCell();
+        td.textContent = cell.text;
+        const id = `${trace.rows[i].step}:${cell.key}`;
+        td.classList.toggle("blank", this._traceBlank.has(id));
+        td.title = "Click to blank or restore the cell";
+        td.addEventListener("click", () => {
+          if (this._traceBlank.has(id)) this._traceBlank.delete(id);
+          else this._traceBlank.add(id);
+          td.classList.toggle("blank", this._traceBlank.has(id));
+        });
+      }
+    });
+    panel.appendChild(table);
   }
 
   _addInteractivity(svg, width, fontSize) {
@@ -645,6 +1419,8 @@ class StruktolabEditor extends HTMLElement {
       this._addDragTargets(svg, width, fontSize);
       this._addResizeHandles(svg, width, fontSize);
       this._addCaseButtons(svg, width, fontSize);
+      this._addCallLinks(svg, width, fontSize);
+      this._drawSelection(svg);
     }
 
     // Cancel mode on click outside
@@ -672,8 +1448,11 @@ class StruktolabEditor extends HTMLElement {
     const DEFAULT_ROW_HEIGHT = 40;
     const inh = withInsertSpace ? INSERT_HEIGHT : 0;
 
-    const wrappedH = (str) => {
-      const lines = this._wrapText(str || "", textW, fontSize);
+    const EXIT_INDENT = 14;
+    const CALL_BAR = 8;
+    const PARALLEL_SLANT = 14;
+    const wrappedH = (str, inset = 0) => {
+      const lines = this._wrapText(str || "", textW - inset, fontSize);
       const lineH = fontSize * 1.3;
       return Math.max(DEFAULT_ROW_HEIGHT, lines.length * lineH + PADDING_Y * 2);
     };
@@ -731,6 +1510,52 @@ class StruktolabEditor extends HTMLElement {
         );
         return rowH + followH;
       }
+      case "CallNode": {
+        const rowH = wrappedH(node.text || "", CALL_BAR * 2);
+        if (node.id)
+          layout.set(node.id, {
+            x,
+            y,
+            w: width,
+            h: rowH,
+            type: "CallNode",
+            text: node.text,
+          });
+        const followH = this._layoutNode(
+          node.followElement,
+          x,
+          y + rowH,
+          width,
+          fontSize,
+          layout,
+          withInsertSpace,
+        );
+        return rowH + followH;
+      }
+      case "ReturnNode":
+      case "BreakNode":
+      case "ContinueNode": {
+        const rowH = wrappedH(exitLabel(node, this._getKeywords()), EXIT_INDENT);
+        if (node.id)
+          layout.set(node.id, {
+            x,
+            y,
+            w: width,
+            h: rowH,
+            type: node.type,
+            text: node.text,
+          });
+        const followH = this._layoutNode(
+          node.followElement,
+          x,
+          y + rowH,
+          width,
+          fontSize,
+          layout,
+          withInsertSpace,
+        );
+        return rowH + followH;
+      }
       case "InsertCase": {
         const rowH = wrappedH(node.text || "");
         if (node.id)
@@ -861,6 +1686,49 @@ class StruktolabEditor extends HTMLElement {
         );
         return totalH + followH;
       }
+      case "ParallelNode": {
+        const numCols = node.branches ? node.branches.length : 0;
+        const colW =
+          node.columnWidths && node.columnWidths.length === numCols
+            ? node.columnWidths.map((f) => width * f)
+            : Array(numCols).fill(width / numCols);
+        const barH = wrappedH(node.text || "", PARALLEL_SLANT * 2);
+        let maxChildH = 0;
+        let curX = x;
+        for (let i = 0; i < numCols; i++) {
+          const ch = this._layoutNode(
+            node.branches[i],
+            curX,
+            y + barH,
+            colW[i],
+            fontSize,
+            layout,
+            withInsertSpace,
+          );
+          maxChildH = Math.max(maxChildH, ch);
+          curX += colW[i];
+        }
+        const totalH = barH * 2 + maxChildH;
+        if (node.id)
+          layout.set(node.id, {
+            x,
+            y,
+            w: width,
+            h: totalH,
+            type: "ParallelNode",
+            text: node.text,
+          });
+        const followH = this._layoutNode(
+          node.followElement,
+          x,
+          y + totalH,
+          width,
+          fontSize,
+          layout,
+          withInsertSpace,
+        );
+        return totalH + followH;
+      }
       case "HeadLoopNode":
       case "CountLoopNode": {
         const rowH = wrappedH(node.text || "");
@@ -1217,6 +2085,19 @@ class StruktolabEditor extends HTMLElement {
       rect.setAttribute("fill", "transparent");
       rect.setAttribute("stroke", "none");
       rect.style.cursor = "pointer";
+      const node = findNode(this._tree, id);
+      if (nodeComment(node)) {
+        // Edit targets cover the comment markers, so they carry the tooltip
+        const title = document.createElementNS(svgNS, "title");
+        title.textContent = nodeComment(node);
+        rect.appendChild(title);
+      }
+      rect.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this._selectNode(id);
+        this._selectSourceLines(id);
+        this.dispatchEvent(new CustomEvent("select", { detail: { nodeId: id }, bubbles: true }));
+      });
       rect.addEventListener("dblclick", (e) => {
         e.stopPropagation();
         this._showEditOverlay(id, box);
@@ -1231,33 +2112,19 @@ class StruktolabEditor extends HTMLElement {
 
     this._hideEditOverlay();
 
-    // Position overlay over the SVG node
-    const svgEl = this._editorArea.querySelector("svg");
-    if (!svgEl) return;
-    const svgRect = svgEl.getBoundingClientRect();
-    const areaRect = this._editorArea.getBoundingClientRect();
-
-    // Convert SVG coordinates to screen coordinates
-    const viewBox = svgEl.viewBox.baseVal;
-    const scaleX = svgRect.width / viewBox.width;
-    const scaleY = svgRect.height / viewBox.height;
-    const scale = Math.min(scaleX, scaleY);
-
     // Use only the text/header height, not the full compound node height
     const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
-    const textH = this._nodeTextHeight(node, box.w, fontSize);
-
-    const left = (box.x - viewBox.x) * scale + svgRect.left - areaRect.left;
-    const top = (box.y - viewBox.y) * scale + svgRect.top - areaRect.top;
-    const w = box.w * scale;
-    const h = textH * scale;
-
-    this._overlay.style.display = "flex";
-    this._overlay.style.left = left + "px";
-    this._overlay.style.top = top + "px";
-    this._overlay.style.width = w + "px";
-    this._overlay.style.height = h + "px";
-    this._overlay.innerHTML = "";
+    if (!this._placeOverlay(box, this._nodeTextHeight(node, box.w, fontSize))) return;
+
+    if (node.type === "CountLoopNode") {
+      const kw = this._getKeywords();
+      const loop = node.variable ? node : parseCountLoop(node.text, kw);
+      // Loops that are not of the form "i = a bis b" keep the free-text editor
+      if (loop) {
+        this._showCountLoopForm(nodeId, loop, kw);
+        return;
+      }
+    }
 
     const input = document.createElement("textarea");
     input.value = node.text || "";
@@ -1303,6 +2170,98 @@ class StruktolabEditor extends HTMLElement {
     });
   }
 
+  /**
+   * Show the empty overlay over the top `height` of a layout box.
+   * @returns {boolean} false if there is no diagram to place it on
+   */
+  _placeOverlay(box, height) {
+    const svgEl = this._editorArea.querySelector("svg");
+    if (!svgEl) return false;
+    const svgRect = svgEl.getBoundingClientRect();
+    const areaRect = this._editorArea.getBoundingClientRect();
+
+    // Convert SVG coordinates to screen coordinates
+    const viewBox = svgEl.viewBox.baseVal;
+    const scaleX = svgRect.width / viewBox.width;
+    const scaleY = svgRect.height / viewBox.height;
+    const scale = Math.min(scaleX, scaleY);
+
+    this._overlay.style.display = "flex";
+    this._overlay.style.left = (box.x - viewBox.x) * scale + svgRect.left - areaRect.left + "px";
+    this._overlay.style.top = (box.y - viewBox.y) * scale + svgRect.top - areaRect.top + "px";
+    this._overlay.style.width = box.w * scale + "px";
+    this._overlay.style.height = height * scale + "px";
+    this._overlay.innerHTML = "";
+    return true;
+  }
+
+  /** Edit the variable, bounds and step of a count loop in separate fields. */
+  _showCountLoopForm(nodeId, loop, kw) {
+    const field = (value, title) => {
+      const input = document.createElement("input");
+      input.value = value || "";
+      input.title = title;
+      return input;
+    };
+    const label = (text) => {
+      const span = document.createElement("span");
+      span.textContent = text;
+      return span;
+    };
+    const variable = field(loop.variable, "Variable");
+    const from = field(loop.from, "Start");
+    const to = field(loop.to, kw.to);
+    const step = field(loop.step || "1", kw.step);
+
+    const okBtn = document.createElement("button");
+    okBtn.className = "ok";
+    okBtn.textContent = "✓";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "cancel";
+    cancelBtn.textContent = "✗";
+
+    const commit = () => {
+      const values = {
+        variable: variable.value.trim(),
+        from: from.value.trim(),
+        to: to.value.trim(),
+        step: step.value.trim() || "1",
+      };
+      if (!values.variable || !values.from || !values.to) return;
+      const text = formatCountLoop(values, kw);
+      this._tree = this._prepTree(editCountLoop(this._tree, nodeId, values, text));
+      this._hideEditOverlay();
+      this._onTreeChange();
+    };
+    const cancel = () => this._hideEditOverlay();
+
+    for (const input of [variable, from, to, step]) {
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          commit();
+        }
+        if (e.key === "Escape") {
+          e.preventDefault();
+          cancel();
+        }
+      });
+    }
+    okBtn.addEventListener("click", commit);
+    cancelBtn.addEventListener("click", cancel);
+
+    this._overlay.append(
+      variable, label("="), from, label(kw.to), to, label(kw.step), step,
+      okBtn, cancelBtn,
+    );
+
+    requestAnimationFrame(() => {
+      variable.focus();
+      variable.select();
+    });
+  }
+
   _hideEditOverlay() {
     this._overlay.style.display = "none";
     this._overlay.innerHTML = "";
@@ -1432,6 +2391,10 @@ class StruktolabEditor extends HTMLElement {
     const BTN_R = 3;
 
     for (const [id, box] of layout) {
+      if (box.type === "ParallelNode") {
+        this._addBranchButtons(svg, svgNS, id, box, fontSize);
+        continue;
+      }
       if (box.type !== "CaseNode") continue;
 
       const node = findNode(this._tree, id);
@@ -1474,6 +2437,83 @@ class StruktolabEditor extends HTMLElement {
     }
   }
 
+  _addBranchButtons(svg, svgNS, id, box, fontSize) {
+    const BTN_SIZE = 18;
+    const BTN_R = 3;
+    const node = findNode(this._tree, id);
+    if (!node || !node.branches) return;
+
+    const numCols = node.branches.length;
+    const colW = node.columnWidths && node.columnWidths.length === numCols
+      ? node.columnWidths.map(f => box.w * f)
+      : Array(numCols).fill(box.w / numCols);
+    const barH = this._wrappedTextHeight(node.text || "", box.w - 16 - 28, fontSize);
+
+    // "+" button: add a new branch — placed in the top-right of the upper band
+    this._createSvgButton(svg, svgNS, box.x + box.w - BTN_SIZE - 18, box.y + 3, BTN_SIZE, BTN_R, "+",
+      "rgba(1,116,96,0.75)", "rgba(1,116,96,1)", () => {
+        this._tree = this._prepTree(addBranch(this._tree, id));
+        this._onTreeChange();
+      });
+
+    // "×" buttons on each branch column (a parallel block keeps at least two)
+    if (numCols > 2) {
+      let curX = box.x;
+      for (let i = 0; i < numCols; i++) {
+        const branchId = node.branches[i].id;
+        this._createSvgButton(svg, svgNS, curX + colW[i] - BTN_SIZE - 2, box.y + barH + 2, BTN_SIZE, BTN_R, "×",
+          "rgba(192,57,43,0.65)", "rgba(192,57,43,1)", () => {
+            this._tree = this._prepTree(removeBranch(this._tree, branchId));
+            this._onTreeChange();
+          });
+        curX += colW[i];
+      }
+    }
+  }
+
+  /* ── Call → function definition links ───────────────────── */
+
+  _addCallLinks(svg, width, fontSize) {
+    const layout = this._computeLayout(this._tree, 0, 0, width, fontSize, false);
+    const svgNS = "http://www.w3.org/2000/svg";
+    const BTN_SIZE = 18;
+
+    for (const box of layout.values()) {
+      if (box.type !== "CallNode") continue;
+      const definition = findFunctionDefinition(this._tree, box.text);
+      if (!definition) continue;
+
+      // Left of the drag handle, inside the right call bar
+      const x = box.x + box.w - BTN_SIZE - 34;
+      const y = box.y + (box.h - BTN_SIZE) / 2;
+      const btn = this._createSvgButton(svg, svgNS, x, y, BTN_SIZE, 3, "↗",
+        "rgba(1,116,96,0.75)", "rgba(1,116,96,1)", () => {
+          this._revealNode(svg, layout.get(definition.id));
+        });
+      const title = document.createElementNS(svgNS, "title");
+      title.textContent = `Go to definition of ${definition.text}`;
+      btn.appendChild(title);
+    }
+  }
+
+  /** Scroll a node into view and flash a highlight over it. */
+  _revealNode(svg, box) {
+    if (!box) return;
+    const svgNS = "http://www.w3.org/2000/svg";
+    const rect = document.createElementNS(svgNS, "rect");
+    rect.setAttribute("x", box.x);
+    rect.setAttribute("y", box.y);
+    rect.setAttribute("width", box.w);
+    rect.setAttribute("height", box.h);
+    rect.setAttribute("fill", INSERT_COLOR);
+    rect.setAttribute("stroke", "#017460");
+    rect.setAttribute("stroke-width", "3");
+    rect.setAttribute("pointer-events", "none");
+    svg.appendChild(rect);
+    rect.scrollIntoView({ block: "center", behavior: "smooth" });
+    setTimeout(() => rect.remove(), 1500);
+  }
+
   _createSvgButton(svg, svgNS, x, y, size, r, label, fill, hoverFill, onClick) {
     const g = document.createElementNS(svgNS, "g");
     g.style.cursor = "pointer";
@@ -1511,6 +2551,7 @@ class StruktolabEditor extends HTMLElement {
     });
 
     svg.appendChild(g);
+    return g;
   }
 
   /* ── Column resize handles ──────────────────────────────── */
@@ -1521,7 +2562,7 @@ class StruktolabEditor extends HTMLElement {
     const HANDLE_WIDTH = 6;
 
     for (const [id, box] of layout) {
-      if (box.type !== "BranchNode" && box.type !== "CaseNode") continue;
+      if (box.type !== "BranchNode" && box.type !== "CaseNode" && box.type !== "ParallelNode") continue;
 
       const node = findNode(this._tree, id);
       if (!node) continue;
@@ -1544,6 +2585,17 @@ class StruktolabEditor extends HTMLElement {
           : [0.5, 0.5];
         const divX = box.x + fracs[0] * box.w;
         dividers.push({ x: divX, y: slopeBottom, h: handleH });
+      } else if (node.type === "ParallelNode") {
+        numCols = node.branches.length;
+        const barH = this._wrappedTextHeight(node.text || "", box.w - 16 - 28, fontSize);
+        const fracs = node.columnWidths && node.columnWidths.length === numCols
+          ? [...node.columnWidths]
+          : Array(numCols).fill(1 / numCols);
+        let divX = box.x;
+        for (let i = 1; i < numCols; i++) {
+          divX += fracs[i - 1] * box.w;
+          dividers.push({ x: divX, y: box.y + barH, h: box.h - barH * 2 });
+        }
       } else {
         numCols = (node.cases ? node.cases.length : 0) + (node.defaultOn ? 1 : 0);
         const textW = box.w - 16;
@@ -1702,9 +2754,12 @@ class StruktolabEditor extends HTMLElement {
     if (this._syncing) return;
     this._syncing = true;
     try {
-      const code = treeToPseudocode(this._tree, this._getKeywords());
+      const sourceMap = new Map();
+      const code = treeToPseudocode(this._tree, this._getKeywords(), sourceMap);
       this._textarea.value = code;
-      this._errorEl.style.display = "none";
+      this._sourceMap = sourceMap;
+      this._lastSyncedCode = code;
+      this._showDiagnostics([]);
     } catch (e) {
       // ignore serialization errors
     }
@@ -1722,16 +2777,21 @@ class StruktolabEditor extends HTMLElement {
     clearTimeout(this._debounceTimer);
     try {
       const code = this._textarea.value;
-      if (!code.trim()) {
+      if (!code.trim() || code === this._lastSyncedCode) {
         this._syncing = false;
         return;
       }
-      const newTree = this._prepTree(
-        parsePseudocode(code, this._getKeywords()),
+      const { tree, diagnostics } = parsePseudocodeWithDiagnostics(
+        code,
+        this._getKeywords(),
       );
-      this._tree = newTree;
-      this._errorEl.style.display = "none";
+      this._tree = this._prepTree(tree);
+      this._sourceMap = collectSourcePositions(this._tree);
+      this._lastSyncedCode = code;
+      this._selectedId = null;
+      this._showDiagnostics(diagnostics);
       this._render();
+      if (this._shadow.activeElement === this._textarea) this._selectNodeAtCaret();
       this._emitChange();
     } catch (e) {
       this._errorEl.textContent = "Parse error: " + e.message;
@@ -1740,6 +2800,218 @@ class StruktolabEditor extends HTMLElement {
     this._syncing = false;
   }
 
+  /** Take the test cases off a saved tree and return the tree without them. */
+  _takeTests(data) {
+    if (!data || !Array.isArray(data.tests)) return data;
+    const { tests, ...tree } = data;
+    this._tests = tests.map(normalizeTestCase);
+    this._testResults = null;
+    return tree;
+  }
+
+  /* ── Run mode ───────────────────────────────────────────── */
+
+  _stopExecution() {
+    this.pause();
+    this._execution = null;
+    this._executionTree = null;
+    this._runPanel.style.display = "none";
+    this._hideEditOverlay();
+  }
+
+  /** Highlight the running node and update the run panel. */
+  _showExecution(state) {
+    const svg = this._editorArea.querySelector("svg");
+    const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
+    if (svg) this._drawExecution(svg, this._resolveWidth(), fontSize);
+    this._renderRunPanel(state);
+    if (state.status === "waiting") {
+      this._stopTimer();
+      this._showInputPrompt(state.nodeId);
+    }
+  }
+
+  _stopTimer() {
+    if (!this._runTimer) return;
+    clearInterval(this._runTimer);
+    this._runTimer = null;
+    this._runBtn.textContent = "▶ Run";
+  }
+
+  _drawExecution(svg, width, fontSize) {
+    const old = svg.querySelector(".execution");
+    if (old) old.remove();
+    const state = this._execution && this._execution.state;
+    const nodeId = state && (state.error ? state.error.nodeId : state.nodeId);
+    if (!nodeId) return;
+    const box = this._computeLayout(this._tree, 0, 0, width, fontSize, false).get(nodeId);
+    const node = findNode(this._tree, nodeId);
+    if (!box || !node) return;
+    // Only the text of a block that contains others, where the condition is
+    const h = Math.min(box.h, this._nodeTextHeight(node, box.w, fontSize));
+    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    rect.setAttribute("class", "execution");
+    rect.setAttribute("x", box.x);
+    rect.setAttribute("y", node.type === "FootLoopNode" ? box.y + box.h - h : box.y);
+    rect.setAttribute("width", box.w);
+    rect.setAttribute("height", h);
+    rect.setAttribute("fill", state.error ? DELETE_HOVER_COLOR : EXECUTION_COLOR);
+    rect.setAttribute("pointer-events", "none");
+    svg.appendChild(rect);
+  }
+
+  /** Show the variables of the running scope and the output console. */
+  _renderRunPanel(state) {
+    const panel = this._runPanel;
+    panel.innerHTML = "";
+    const status = document.createElement("div");
+    status.className = "status" + (state.error ? " error" : "");
+    status.textContent = state.error
+      ? "Error: " + state.error.message
+      : { ready: "Ready", running: "Running", waiting: "Waiting for input", done: "Finished" }[state.status];
+    panel.appendChild(status);
+
+    const variablesTitle = document.createElement("h4");
+    variablesTitle.textContent = state.scope ? `Variables (${state.scope})` : "Variables";
+    panel.appendChild(variablesTitle);
+    const table = document.createElement("table");
+    for (const [name, value] of Object.entries(state.variables)) {
+      const row = table.insertRow();
+      row.insertCell().textContent = name;
+      row.insertCell().textContent = JSON.stringify(value);
+    }
+    panel.appendChild(table);
+
+    const outputTitle = document.createElement("h4");
+    outputTitle.textContent = "Output";
+    panel.appendChild(outputTitle);
+    const output = document.createElement("pre");
+    output.className = "console";
+    output.textContent = state.output.join("\n");
+    panel.appendChild(output);
+  }
+
+  /** Ask for the value of an InputNode in place of its text. */
+  _showInputPrompt(nodeId) {
+    const node = findNode(this._tree, nodeId);
+    const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
+    const box = this._computeLayout(this._tree, 0, 0, this._resolveWidth(), fontSize, false).get(nodeId);
+    if (!node || !box || !this._placeOverlay(box, this._nodeTextHeight(node, box.w, fontSize))) return;
+
+    const label = document.createElement("span");
+    label.textContent = (node.text || "") + ":";
+    const input = document.createElement("input");
+    const okBtn = document.createElement("button");
+    okBtn.className = "ok";
+    okBtn.textContent = "✓";
+
+    const commit = () => {
+      if (!this._execution) return;
+      this._hideEditOverlay();
+      this._execution.addInput(input.value);
+      const resume = this._resumeAfterInput;
+      this._resumeAfterInput = false;
+      if (resume) this.run();
+      else this.step();
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        commit();
+      }
+    });
+    okBtn.addEventListener("click", commit);
+
+    this._overlay.append(label, input, okBtn);
+    requestAnimationFrame(() => input.focus());
+  }
+
+  /* ── Selection sync ─────────────────────────────────────── */
+
+  /** Mark a node as selected and outline it in the diagram. */
+  _selectNode(id) {
+    this._selectedId = id;
+    const svg = this._editorArea.querySelector("svg");
+    if (svg) this._drawSelection(svg);
+  }
+
+  _drawSelection(svg) {
+    const old = svg.querySelector(".selection");
+    if (old) old.remove();
+    if (!this._selectedId) return;
+    const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
+    const layout = this._computeLayout(this._tree, 0, 0, this._resolveWidth(), fontSize, false);
+    const box = layout.get(this._selectedId);
+    if (!box) return;
+    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    rect.setAttribute("class", "selection");
+    rect.setAttribute("x", box.x);
+    rect.setAttribute("y", box.y);
+    rect.setAttribute("width", box.w);
+    rect.setAttribute("height", box.h);
+    rect.setAttribute("fill", "none");
+    rect.setAttribute("stroke", "#017460");
+    rect.setAttribute("stroke-width", "3");
+    rect.setAttribute("pointer-events", "none");
+    svg.appendChild(rect);
+  }
+
+  /** Select the textarea lines a node was written to or parsed from. */
+  _selectSourceLines(id) {
+    const range = this._sourceMap.get(id);
+    if (!range) return;
+    const ta = this._textarea;
+    const lines = ta.value.split("\n");
+    let start = 0;
+    for (let i = 0; i < range.startLine - 1; i++) start += lines[i].length + 1;
+    let end = start;
+    for (let i = range.startLine - 1; i < range.endLine && i < lines.length; i++) {
+      end += lines[i].length + 1;
+    }
+    ta.focus({ preventScroll: true });
+    ta.setSelectionRange(start, Math.max(start, end - 1));
+    const lineH = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+    ta.scrollTop = Math.max(0, (range.startLine - 2) * lineH);
+  }
+
+  /** Select the innermost node whose source lines contain the caret. */
+  _selectNodeAtCaret() {
+    const ta = this._textarea;
+    const line = ta.value.slice(0, ta.selectionStart).split("\n").length;
+    let best = null;
+    let bestSpan = Infinity;
+    for (const [id, range] of this._sourceMap) {
+      if (line < range.startLine || line > range.endLine) continue;
+      const span = range.endLine - range.startLine;
+      if (span < bestSpan) {
+        best = id;
+        bestSpan = span;
+      }
+    }
+    if (best === this._selectedId) return;
+    this._selectNode(best);
+    const rect = best && this._editorArea.querySelector("svg .selection");
+    if (rect) rect.scrollIntoView({ block: "nearest" });
+  }
+
+  _showDiagnostics(diagnostics) {
+    this._diagnostics = diagnostics;
+    this._errorEl.innerHTML = "";
+    if (diagnostics.length === 0) {
+      this._errorEl.style.display = "none";
+      return;
+    }
+    const list = document.createElement("ul");
+    for (const d of diagnostics) {
+      const item = document.createElement("li");
+      item.className = d.severity;
+      item.textContent = `Line ${d.line}, column ${d.column}: ${d.message}`;
+      list.appendChild(item);
+    }
+    this._errorEl.appendChild(list);
+    this._errorEl.style.display = "block";
+  }
+
   /* ── Change handling ────────────────────────────────────── */
 
   _onTreeChange() {
@@ -1759,19 +3031,45 @@ class StruktolabEditor extends HTMLElement {
 
   /* ── Public API: save / load / export / change ─────────── */
 
-  /** Return clean JSON (no InsertNode/Placeholder wrappers). */
+  /**
+   * Return clean JSON (no InsertNode/Placeholder wrappers). Test cases are
+   * kept in a `tests` array on the root node.
+   */
   saveJSON() {
     if (!this._tree) return "{}";
-    return JSON.stringify(stripInsertNodes(this._tree), null, 2);
+    const tree = stripInsertNodes(this._tree);
+    if (tree && this._tests.length > 0) tree.tests = this._tests;
+    return JSON.stringify(tree, null, 2);
   }
 
-  /** Load tree from a JSON string or object. */
+  /** Load tree and test cases from a JSON string or object. */
   loadJSON(json) {
     const data = typeof json === "string" ? JSON.parse(json) : json;
-    this._tree = this._prepTree(data);
+    this._tests = [];
+    this._tree = this._prepTree(this._takeTests(data));
+    this._render();
+    this._syncTreeToPseudocode();
+    this._emitChange();
+  }
+
+  /**
+   * Replace the structogram with one built from source code.
+   * Constructs without a structogram equivalent are reported like
+   * pseudocode problems.
+   * @param {string} source - Program text
+   * @param {string} [lang="python"] - Source language
+   * @returns {Array} Diagnostics of the import; lines refer to `source`
+   */
+  importCode(source, lang = "python") {
+    const { tree, diagnostics } = codeToTreeWithDiagnostics(source, lang, {
+      keywords: this._getKeywords(),
+    });
+    this._tree = this._prepTree(tree);
     this._render();
     this._syncTreeToPseudocode();
+    this._showDiagnostics(diagnostics);
     this._emitChange();
+    return diagnostics;
   }
 
   /**
@@ -1783,10 +3081,13 @@ class StruktolabEditor extends HTMLElement {
     const fontSize = parseInt(this.getAttribute("font-size"), 10) || 14;
     const width = this._resolveWidth();
     const colorMode = this.getAttribute("color-mode");
+    const showComments = this.hasAttribute("show-comments");
 
     // Render a clean SVG (no insert-node space, no overlays)
     setInsertNodeHeight(0);
-    const svg = renderStructogramSVG(this._tree, { width, fontSize, colorMode });
+    const svg = renderStructogramSVG(this._tree, {
+      width, fontSize, colorMode, showComments, keywords: this._getKeywords(),
+    });
     setInsertNodeHeight(0);
 
     const serializer = new XMLSerializer();
@@ -1863,6 +3164,24 @@ class StruktolabEditor extends HTMLElement {
     reader.readAsText(file);
   }
 
+  _triggerImportCode() {
+    this._codeInput.value = "";
+    this._codeInput.click();
+  }
+
+  _handleCodeImport(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const lang = importLanguageForFile(file.name);
+    if (!lang) {
+      console.error("struktolab-editor: no importer for", file.name);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => this.importCode(reader.result, lang);
+    reader.readAsText(file);
+  }
+
   async _downloadImage(format) {
     try {
       const blob = await this.exportImage(format);
@@ -1892,9 +3211,14 @@ export {
   StruktolabEditor,
   renderStructogramSVG,
   parsePseudocode,
+  parsePseudocodeWithDiagnostics,
   generateCode,
   treeToPseudocode,
+  registerKeywords,
   KEYWORDS_DE,
   KEYWORDS_EN,
+  KEYWORDS_FR,
+  KEYWORDS_ES,
+  KEYWORDS_NL,
 };
 export default StruktolabEditor;
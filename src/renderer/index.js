@@ -1,9 +1,9 @@
 import StruktolabRenderer, { renderStructogramSVG } from "./struktolab-renderer.js";
-import { parsePseudocode, KEYWORDS_DE, KEYWORDS_EN } from "../common/pseudocode-parser.js";
-import { generateCode } from "../common/code-generator.js";
+import { parsePseudocode, parsePseudocodeWithDiagnostics, registerKeywords, KEYWORDS_DE, KEYWORDS_EN, KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL } from "../common/pseudocode-parser.js";
+import { generateCode, registerLanguage, getLanguages } from "../common/code-generator.js";
 
 if (!customElements.get("struktolab-renderer")) {
   customElements.define("struktolab-renderer", StruktolabRenderer);
 }
 
-export { StruktolabRenderer, renderStructogramSVG, parsePseudocode, generateCode, KEYWORDS_DE, KEYWORDS_EN };
+export { StruktolabRenderer, renderStructogramSVG, parsePseudocode, parsePseudocodeWithDiagnostics, generateCode, registerLanguage, getLanguages, registerKeywords, KEYWORDS_DE, KEYWORDS_EN, KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL };
@@ -1,5 +1,14 @@
 import { renderStructogramSVG } from "../common/svg-renderer.js";
-import { parsePseudocode, KEYWORDS_DE, KEYWORDS_EN } from "../common/pseudocode-parser.js";
+import {
+  parsePseudocode,
+  getKeywords,
+  registerKeywords,
+  KEYWORDS_DE,
+  KEYWORDS_EN,
+  KEYWORDS_FR,
+  KEYWORDS_ES,
+  KEYWORDS_NL,
+} from "../common/pseudocode-parser.js";
 import { generateCode } from "../common/code-generator.js";
 
 /**
@@ -9,9 +18,11 @@ import { generateCode } from "../common/code-generator.js";
  *   width      — SVG width in px (default: 600)
  *   font-size  — font size in px (default: 14)
  *   src        — URL to fetch JSON tree from
- *   lang       — pseudocode language: "de" (default) or "en"
+ *   lang       — pseudocode language: "de" (default), "en", "fr", "es", "nl"
+ *                or any language added with registerKeywords()
  *   scale       — (optional) scale factor for the SVG (e.g. "0.5" for 50% size)
  *   color-mode   — (optional) "light" (default) or "dark" for color scheme
+ *   show-comments — (optional) boolean; mark nodes that carry a comment
  *
  * Setting the tree:
  *   1. JS property:  element.tree = { ... }
@@ -33,13 +44,20 @@ import { generateCode } from "../common/code-generator.js";
  *   element.toCode("python")      → Python source code string
  *   element.toCode("java")        → Java source code string
  *   element.toCode("javascript")  → JavaScript source code string
+ *   element.toCode("typescript")  → TypeScript source code string
+ *   element.toCode("csharp")      → C# source code string
+ *   element.toCode("c")           → C source code string
+ *   element.toCode("cpp")         → C++ source code string
+ *   element.toCode("pascal")      → Pascal source code string
+ *   registerLanguage("lua", { extends: "python", ... }) → element.toCode("lua")
  *
  * Custom keywords:
  *   element.keywords = { if: "si", else: "sinon", ... }
+ *   registerKeywords("it", { if: "se", ... }, "Italiano")  → lang="it"
  */
 class StruktolabRenderer extends HTMLElement {
   static get observedAttributes() {
-    return ["width", "font-size", "src", "lang", "scale", "color-mode"];
+    return ["width", "font-size", "src", "lang", "scale", "color-mode", "show-comments"];
   }
 
   constructor() {
@@ -61,8 +79,7 @@ class StruktolabRenderer extends HTMLElement {
   /** Resolve keyword map: custom → lang attribute → default (DE) */
   _getKeywords() {
     if (this._keywords) return this._keywords;
-    const lang = (this.getAttribute("lang") || "de").toLowerCase();
-    return lang === "en" ? KEYWORDS_EN : KEYWORDS_DE;
+    return getKeywords(this.getAttribute("lang") || "de");
   }
 
   _initialize() {
@@ -137,12 +154,16 @@ class StruktolabRenderer extends HTMLElement {
 
   /**
    * Export the current structogram as source code.
-   * @param {string} lang - Target language: "python", "java", or "javascript"
-   * @returns {string} Generated source code
+   * @param {string} lang - Target language: "python", "java", "javascript",
+   *   "typescript", "csharp", "c", "cpp", "pascal" or one added with
+   *   registerLanguage
+   * @param {Object} [options] - Passed on to generateCode, e.g. `sourceMap`
+   * @returns {string|{code: string, map: Array<{line: number, nodeId: string}>}}
+   *   Generated source code; with `sourceMap` also the node of each line
    */
-  toCode(lang) {
-    if (!this._tree) return "";
-    return generateCode(this._tree, lang);
+  toCode(lang, options = {}) {
+    if (!this._tree) return options.sourceMap ? { code: "", map: [] } : "";
+    return generateCode(this._tree, lang, { ...options, keywords: this._getKeywords() });
   }
 
   async _fetchTree(url) {
@@ -172,6 +193,7 @@ class StruktolabRenderer extends HTMLElement {
     const attrWidth = this.getAttribute("width");
     const scale = parseFloat(this.getAttribute("scale")) || "1";
     const colorMode = this.getAttribute("color-mode") || "color";
+    const showComments = this.hasAttribute("show-comments");
     const width = this._resolveWidth();
 
     // Clear previous content
@@ -179,10 +201,12 @@ class StruktolabRenderer extends HTMLElement {
       this._container.removeChild(this._container.firstChild);
     }
 
-    const svg = renderStructogramSVG(this._tree, { width, fontSize, colorMode });
+    const svg = renderStructogramSVG(this._tree, {
+      width, fontSize, colorMode, showComments, keywords: this._getKeywords(),
+    });
     this._container.appendChild(svg);
   }
 }
 
-export { StruktolabRenderer, renderStructogramSVG, parsePseudocode, generateCode, KEYWORDS_DE, KEYWORDS_EN };
+export { StruktolabRenderer, renderStructogramSVG, parsePseudocode, generateCode, registerKeywords, KEYWORDS_DE, KEYWORDS_EN, KEYWORDS_FR, KEYWORDS_ES, KEYWORDS_NL };
 export default StruktolabRenderer;
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateCode, registerLanguage } from "../src/common/code-generator.js";
+import { codeToTree } from "../src/common/code-importer.js";
+import { parsePseudocode, KEYWORDS_DE, KEYWORDS_ES } from "../src/common/pseudocode-parser.js";
+import { treeToPseudocode } from "../src/common/tree-to-pseudocode.js";
+
+const MATCH = `match n:
+    case 1 | 2:
+        print(n)
+    case _:
+        print(0)
+`;
+
+test("grouped case labels get one case line per value in C-style targets", () => {
+  const tree = codeToTree(MATCH, "python");
+  for (const lang of ["java", "javascript", "typescript", "csharp", "c", "cpp"]) {
+    const code = generateCode(tree, lang);
+    assert.match(code, /case 1:\n\s*case 2:\n/, lang);
+    assert.doesNotMatch(code, /case 1, 2/, lang);
+  }
+});
+
+test("grouped case labels are compared one by one in Python", () => {
+  const code = generateCode(codeToTree(MATCH, "python"), "python");
+  assert.match(code, /^if n == 1 or n == 2:$/m);
+});
+
+test("grouped case labels stay a list in Pascal", () => {
+  const tree = parsePseudocode("unterscheide n:\n    fall 1, 2:\n        ausgabe(n)");
+  assert.match(generateCode(tree, "pascal"), /^\s*1, 2: begin$/m);
+});
+
+test("imported output keeps its string literals through pseudocode and back", () => {
+  const imports = [
+    ['name = input()\nprint("klein")\nprint("Hallo " + name)', "python"],
+    ['System.out.println("klein");\nSystem.out.println("Hallo " + name);', "java"],
+    ['console.log("klein");\nconsole.log("Hallo " + name);', "javascript"],
+  ];
+  for (const [source, lang] of imports) {
+    const tree = parsePseudocode(treeToPseudocode(codeToTree(source, lang)));
+    const python = generateCode(tree, "python");
+    assert.match(python, /^print\("klein"\)$/m, lang);
+    assert.match(python, /^print\("Hallo " \+ name\)$/m, lang);
+    assert.match(generateCode(tree, lang), /\("Hallo " \+ name\)/, lang);
+  }
+});
+
+test("a division of two integers divides exactly", () => {
+  const tree = parsePseudocode("n = 7\nq = n / 2\nm = (n + 1) / 2");
+  const java = generateCode(tree, "java", { runnable: true });
+  assert.match(java, /double q = 0\.0;/);
+  assert.match(java, /q = \(double\) n \/ 2;/);
+  assert.match(java, /m = \(double\) \(n \+ 1\) \/ 2;/);
+  assert.match(generateCode(tree, "pascal", { runnable: true }), /q: Real;/);
+  assert.match(generateCode(tree, "python"), /^q = n \/ 2$/m);
+});
+
+test("a registered language without comments still fills only empty blocks", () => {
+  const plain = { pre: "", post: "\n" };
+  const block = { pre: "", between: "", post: "\n" };
+  registerLanguage("minimal", {
+    TaskNode: plain, InputNode: plain, OutputNode: plain, CallNode: plain, ReturnNode: plain,
+    BreakNode: plain, ContinueNode: plain, BranchNode: { pre: "if ", post: "\n", between: "else\n" },
+    TryCatchNode: block, CountLoopNode: block, HeadLoopNode: { pre: "while ", post: "\n" },
+    FootLoopNode: block, ParallelNode: block, FunctionNode: block, CaseNode: block, InsertCase: block,
+    empty: "skip\n",
+    leftBracket: "",
+    rightBracket: "end\n",
+  });
+  const code = generateCode(parsePseudocode("wiederhole solange x > 0:\n    x = x - 1"), "minimal");
+  assert.doesNotMatch(code, /skip/);
+  assert.match(generateCode(parsePseudocode("wiederhole solange x > 0:\n    "), "minimal"), /skip/);
+});
+
+test("node texts are read with the words of the diagram's language", () => {
+  const tree = parsePseudocode("z = no + 1\nfalls x und nicht y:\n    z = y or x");
+  const java = generateCode(tree, "java");
+  assert.match(java, /z = no \+ 1;/);
+  assert.match(java, /if \(x && !y\)/);
+  assert.match(java, /z = y \|\| x;/);
+  const spanish = parsePseudocode("z = no y", KEYWORDS_ES);
+  assert.match(generateCode(spanish, "java", { keywords: KEYWORDS_ES }), /z = !y;/);
+  assert.match(generateCode(spanish, "java", { keywords: [KEYWORDS_DE, KEYWORDS_ES] }), /z = !y;/);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { codeToTree, codeToTreeWithDiagnostics } from "../src/common/code-importer.js";
+import { generateCode } from "../src/common/code-generator.js";
+
+/** The nodes of the top-level chain of a tree. */
+function nodes(tree) {
+  const list = [];
+  for (let cur = tree; cur && cur.followElement; cur = cur.followElement.followElement) {
+    list.push(cur.followElement);
+  }
+  return list;
+}
+
+test("Java for-each loops become a statement with a warning", () => {
+  const source = "for (int x : xs) {\n    System.out.println(x);\n}";
+  const { tree, diagnostics } = codeToTreeWithDiagnostics(source, "java");
+  assert.deepEqual(nodes(tree).map((node) => [node.type, node.text]), [
+    ["TaskNode", "for (int x : xs)"],
+    ["OutputNode", "x"],
+  ]);
+  assert.deepEqual(diagnostics.map((d) => d.code), ["for-each"]);
+});
+
+test("increments and decrements become assignments", () => {
+  const tree = codeToTree("int n = 3;\nn--;\n++n;\nfor (i = 0, j = 9; i < j; i++, j--) { }", "java");
+  const python = generateCode(tree, "python");
+  assert.match(python, /^n = n - 1\nn = n \+ 1$/m);
+  assert.match(python, /^ {4}i = i \+ 1\n {4}j = j - 1$/m);
+  assert.doesNotMatch(python, /\+\+|--/);
+});
+
+test("Python for-each loops become a statement with a warning", () => {
+  const source = "for x in xs:\n    print(x)\nfor i in range(3):\n    print(i)";
+  const { tree, diagnostics } = codeToTreeWithDiagnostics(source, "python");
+  assert.deepEqual(nodes(tree).map((node) => node.type), ["TaskNode", "OutputNode", "CountLoopNode"]);
+  assert.equal(nodes(tree)[0].text, "for x in xs:");
+  assert.deepEqual(diagnostics.map((d) => d.code), ["for-each"]);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Interpreter } from "../src/common/interpreter.js";
+import { parsePseudocode } from "../src/common/pseudocode-parser.js";
+
+function run(pseudocode, input = []) {
+  return new Interpreter(parsePseudocode(pseudocode), { input }).run();
+}
+
+const SWITCH = `eingabe("Zahl n")
+unterscheide n:
+    fall -2:
+        ausgabe("minus zwei")
+    fall 1, 2:
+        ausgabe("eins oder zwei")
+    sonst:
+        ausgabe("anders")`;
+
+test("a case label may be a negative number", () => {
+  assert.deepEqual(run(SWITCH, ["-2"]).output, ["minus zwei"]);
+});
+
+test("a grouped case label matches each of its values", () => {
+  assert.deepEqual(run(SWITCH, ["1"]).output, ["eins oder zwei"]);
+  assert.deepEqual(run(SWITCH, ["2"]).output, ["eins oder zwei"]);
+  assert.deepEqual(run(SWITCH, ["3"]).output, ["anders"]);
+});
+
+test("a case label without quotes matches text", () => {
+  const state = run(`eingabe("Antwort a")
+unterscheide a:
+    fall "ja":
+        ausgabe("gut")
+    sonst:
+        ausgabe("schade")`, ["ja"]);
+  assert.deepEqual(state.output, ["gut"]);
+});
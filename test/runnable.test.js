@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { generateCode } from "../src/common/code-generator.js";
+import { parsePseudocode } from "../src/common/pseudocode-parser.js";
+
+// A string concatenation that joins a number, assigned and printed
+const MIXED = parsePseudocode(`n = 5
+s = "n = " + n
+ausgabe(s)
+ausgabe("doppelt: " + n * 2)`);
+const EXPECTED = "n = 5\ndoppelt: 10\n";
+
+/** Whether a command can be run here. */
+function available(command) {
+  return !spawnSync(command, ["--version"]).error;
+}
+
+/** Write the program to a temporary file, run the given commands on it and return the output of the last. */
+function run(code, file, commands) {
+  const dir = mkdtempSync(join(tmpdir(), "struktolab-"));
+  try {
+    writeFileSync(join(dir, file), code);
+    let result;
+    for (const [command, ...args] of commands) {
+      result = spawnSync(command, args, { cwd: dir, encoding: "utf8", timeout: 60000 });
+      assert.equal(result.status, 0, result.stderr);
+    }
+    return result.stdout;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const TARGETS = {
+  python: { assigns: 's = "n = " + str(n)', file: "main.py", commands: [["python3", "main.py"]] },
+  javascript: { assigns: 's = "n = " + n', file: "main.mjs", commands: [["node", "main.mjs"]] },
+  typescript: { assigns: 's = "n = " + n' },
+  java: { assigns: 's = "n = " + n' },
+  csharp: { assigns: 's = "n = " + n' },
+  c: { assigns: 'snprintf(s, 256, "n = %d", n)', file: "main.c", commands: [["gcc", "main.c", "-o", "main"], ["./main"]] },
+  cpp: {
+    assigns: 's = "n = " + std::to_string(n)',
+    file: "main.cpp",
+    commands: [["g++", "main.cpp", "-o", "main"], ["./main"]],
+  },
+  pascal: { assigns: "s := 'n = ' + IntToStr(n)", uses: "uses SysUtils;" },
+};
+
+for (const [lang, target] of Object.entries(TARGETS)) {
+  const runnable = target.commands && available(target.commands[0][0]);
+  test(`a runnable ${lang} program joins numbers into strings`, () => {
+    const code = generateCode(MIXED, lang, { runnable: true });
+    assert.ok(code.includes(target.assigns), code);
+    if (target.uses) assert.ok(code.includes(target.uses), code);
+    if (runnable) assert.equal(run(code, target.file, target.commands), EXPECTED);
+  });
+}